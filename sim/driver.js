@@ -0,0 +1,168 @@
+import fs from 'fs';
+import readline from 'readline';
+import axios from 'axios';
+import twilio from 'twilio';
+import WebSocket from 'ws';
+import { encodePcm16ToMulaw } from '../src/elevenlabs.js';
+
+const FRAME_BYTES = 160; // 20 ms of 8 kHz μ-law, what Twilio sends per media message
+const FRAME_MS = 20;
+
+// Plays Twilio's side of the app's webhooks and media streams, signing requests like Twilio does.
+export class TwilioDriver {
+  constructor({ baseUrl, authToken, accountSid = 'ACsim' }) {
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+    this.authToken = authToken;
+    this.accountSid = accountSid;
+  }
+
+  async webhook(path, params) {
+    const url = `${this.baseUrl}${path}`;
+    const signature = twilio.getExpectedTwilioSignature(this.authToken, url, params);
+    const resp = await axios.post(url, new URLSearchParams(params).toString(), {
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded', 'X-Twilio-Signature': signature },
+      validateStatus: () => true,
+    });
+    if (resp.status >= 400) throw new Error(`${path} returned ${resp.status}`);
+    return resp.data;
+  }
+
+  // Inbound call: fetch the TwiML, then open the <Stream> it asks for
+  async call({ callSid, from, to }) {
+    const twiml = await this.webhook('/voice/inbound', { CallSid: callSid, From: from, To: to, AccountSid: this.accountSid });
+    const call = new SimCall({ callSid, from, twiml });
+    if (call.streamUrl) await call.open();
+    return call;
+  }
+
+  confEvent(event, { conferenceSid, friendlyName, callSid, label }) {
+    const params = { StatusCallbackEvent: event, ConferenceSid: conferenceSid, FriendlyName: friendlyName, AccountSid: this.accountSid };
+    if (callSid) params.CallSid = callSid;
+    if (label) params.ParticipantLabel = label;
+    return this.webhook('/conf-events', params);
+  }
+}
+
+export class SimCall {
+  constructor({ callSid, from, twiml }) {
+    this.callSid = callSid;
+    this.from = from;
+    this.twiml = twiml;
+    this.streamUrl = attr(twiml, 'Stream', 'url');
+    this.parameters = Object.fromEntries([...twiml.matchAll(/<Parameter name="([^"]*)" value="([^"]*)"\/>/g)].map(m => [m[1], unescape(m[2])]));
+    this.streamSid = `MZ${callSid.slice(2)}`;
+    this.received = []; // outbound media/mark/clear messages, for bidirectional streams
+    this.marks = new Map(); // pending echo timer -> echo()
+    this.playhead = 0; // when the queued outbound audio finishes playing
+    this.ws = null;
+  }
+
+  open() {
+    return new Promise((resolve, reject) => {
+      this.ws = new WebSocket(this.streamUrl);
+      this.ws.once('error', reject);
+      this.ws.once('unexpected-response', (_req, res) => reject(new Error(`stream upgrade returned ${res.statusCode}`)));
+      this.ws.on('message', raw => this.handleMessage(JSON.parse(raw.toString())));
+      this.ws.once('open', () => {
+        this.send({ event: 'connected', protocol: 'Call', version: '1.0.0' });
+        this.send({
+          event: 'start',
+          sequenceNumber: '1',
+          start: {
+            streamSid: this.streamSid,
+            callSid: this.callSid,
+            tracks: ['inbound'],
+            customParameters: this.parameters,
+            mediaFormat: { encoding: 'audio/x-mulaw', sampleRate: 8000, channels: 1 },
+          },
+          streamSid: this.streamSid,
+        });
+        resolve(this);
+      });
+    });
+  }
+
+  // Bidirectional streams: audio "plays" in real time and a mark is echoed once the audio queued
+  // before it has finished, or straight away when a clear flushes the queue, as Twilio does
+  handleMessage(msg) {
+    this.received.push(msg);
+    if (msg.event === 'media') {
+      const ms = Buffer.from(msg.media?.payload || '', 'base64').length / 8;
+      this.playhead = Math.max(this.playhead || 0, Date.now()) + ms;
+    } else if (msg.event === 'mark') {
+      const echo = () => {
+        this.marks.delete(timer);
+        this.send({ event: 'mark', streamSid: this.streamSid, mark: msg.mark });
+      };
+      const timer = setTimeout(echo, Math.max(0, (this.playhead || 0) - Date.now()));
+      this.marks.set(timer, echo);
+    } else if (msg.event === 'clear') {
+      this.playhead = 0;
+      for (const [timer, echo] of this.marks) {
+        clearTimeout(timer);
+        echo();
+      }
+    }
+  }
+
+  send(msg) {
+    if (this.ws?.readyState === WebSocket.OPEN) this.ws.send(JSON.stringify(msg));
+  }
+
+  // Streams μ-law audio in real time, 20 ms per frame
+  async sendAudio(mulaw) {
+    for (let offset = 0; offset < mulaw.length; offset += FRAME_BYTES) {
+      this.send({ event: 'media', streamSid: this.streamSid, media: { track: 'inbound', payload: mulaw.subarray(offset, offset + FRAME_BYTES).toString('base64') } });
+      await sleep(FRAME_MS);
+    }
+  }
+
+  sendSilence(ms) {
+    return this.sendAudio(Buffer.alloc(Math.round(ms / FRAME_MS) * FRAME_BYTES, 0xff));
+  }
+
+  // Something voice-like for the VAD: a steady tone, loud and low enough in frequency to count as speech
+  sendTone(ms, { hz = 220, dbfs = -20 } = {}) {
+    const samples = Math.round(ms / FRAME_MS) * FRAME_BYTES;
+    const amplitude = 32767 * 10 ** (dbfs / 20);
+    const pcm = Buffer.alloc(samples * 2);
+    for (let i = 0; i < samples; i += 1) pcm.writeInt16LE(Math.round(amplitude * Math.sin((2 * Math.PI * hz * i) / 8000)), i * 2);
+    return this.sendAudio(encodePcm16ToMulaw(pcm));
+  }
+
+  // Replays a recording of Twilio media-stream messages (one JSON message per line), keeping
+  // the original pacing from media.timestamp; only media frames are forwarded
+  async replay(file, { speed = 1 } = {}) {
+    const lines = readline.createInterface({ input: fs.createReadStream(file) });
+    let last = null;
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+      const msg = JSON.parse(line);
+      if (msg.event !== 'media') continue;
+      const ts = Number(msg.media?.timestamp);
+      if (last !== null && ts > last) await sleep((ts - last) / speed);
+      if (!Number.isNaN(ts)) last = ts;
+      this.send({ event: 'media', streamSid: this.streamSid, media: { track: 'inbound', payload: msg.media.payload } });
+    }
+  }
+
+  hangup() {
+    for (const timer of this.marks.keys()) clearTimeout(timer);
+    if (!this.ws) return;
+    this.send({ event: 'stop', streamSid: this.streamSid, stop: { callSid: this.callSid } });
+    this.ws.close();
+  }
+}
+
+function attr(xml, tag, name) {
+  const m = xml.match(new RegExp(`<${tag}\\b[^>]*\\s${name}="([^"]*)"`));
+  return m ? unescape(m[1]) : null;
+}
+
+function unescape(s) {
+  return s.replace(/&amp;/g, '&').replace(/&quot;/g, '"').replace(/&lt;/g, '<').replace(/&gt;/g, '>');
+}
+
+export function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
@@ -0,0 +1,110 @@
+import http from 'http';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import express from 'express';
+import bodyParser from 'body-parser';
+import { WebSocketServer } from 'ws';
+import { FakeScribe } from './fake-scribe.js';
+import { FakeConvAI } from './fake-convai.js';
+import { FakeTwilio } from './fake-twilio.js';
+
+// One local HTTP/WebSocket server standing in for api.elevenlabs.io, api.twilio.com and the
+// alternative providers: a vosk-style STT socket, OpenAI-compatible chat and a WAV TTS server.
+// Point the app at it with ELEVEN_WS_URL, ELEVEN_API_BASE, TWILIO_API_BASE, VOSK_URL,
+// OPENAI_BASE_URL and TTS_HTTP_URL (see urls below). /hooks/:name takes webhook tool calls.
+export async function startFakeCloud({ port = 0, reply, toolCalls, responseDelayMs } = {}) {
+  const scribe = new FakeScribe();
+  const convai = new FakeConvAI({ reply, toolCalls, responseDelayMs });
+  const twilio = new FakeTwilio();
+  const tts = []; // { voiceId, text, modelId, outputFormat, languageCode }
+  const hooks = []; // { name, body }
+
+  const app = express();
+  app.use(bodyParser.urlencoded({ extended: false }));
+  app.use(bodyParser.json());
+  app.use('/2010-04-01/Accounts/:accountSid', twilio.router());
+  app.post('/v1/text-to-speech/:voiceId/stream', (req, res) => {
+    const outputFormat = req.query.output_format || 'mp3_44100_128';
+    tts.push({ voiceId: req.params.voiceId, text: req.body.text, modelId: req.body.model_id, outputFormat, languageCode: req.body.language_code });
+    // Silence sized roughly like real speech: ~300 ms per word
+    const ms = Math.max(300, String(req.body.text || '').split(/\s+/).length * 300);
+    if (outputFormat.startsWith('ulaw')) {
+      res.type('audio/basic').send(Buffer.alloc(8 * ms, 0xff));
+    } else if (outputFormat.startsWith('pcm')) {
+      const rate = Number(outputFormat.split('_')[1]) || 16000;
+      res.type('application/octet-stream').send(Buffer.alloc((rate / 1000) * 2 * ms));
+    } else {
+      res.type('audio/mpeg').send(Buffer.alloc(16 * ms));
+    }
+  });
+
+  app.post('/hooks/:name', (req, res) => {
+    hooks.push({ name: req.params.name, body: req.body });
+    res.json({ ok: true, id: `hook_${hooks.length}` });
+  });
+
+  app.post('/v1/chat/completions', async (req, res) => res.json(await convai.chatCompletion(req.body)));
+  app.post('/tts', (req, res) => {
+    tts.push({ voiceId: req.body.voice, text: req.body.text, outputFormat: 'wav' });
+    const ms = Math.max(300, String(req.body.text || '').split(/\s+/).length * 300);
+    res.type('audio/wav').send(silentWav(ms));
+  });
+
+  const server = http.createServer(app);
+  const wss = new WebSocketServer({ noServer: true });
+  server.on('upgrade', (req, socket, head) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    const target = pathname.startsWith('/v1/convai/conversation') ? convai
+      : pathname.startsWith('/v1/speech-to-text') || pathname === '/vosk' ? scribe
+        : null;
+    if (!target) return socket.destroy();
+    const options = pathname === '/vosk' ? { protocol: 'vosk' } : undefined;
+    wss.handleUpgrade(req, socket, head, ws => target.handleConnection(ws, req, options));
+  });
+
+  await new Promise(resolve => server.listen(port, resolve));
+  const url = `http://localhost:${server.address().port}`;
+  return {
+    url,
+    scribeUrl: `${url.replace('http://', 'ws://')}/v1/speech-to-text/realtime`,
+    voskUrl: `${url.replace('http://', 'ws://')}/vosk`,
+    openaiUrl: `${url}/v1`,
+    ttsUrl: `${url}/tts`,
+    scribe,
+    convai,
+    twilio,
+    tts,
+    hooks,
+    close: () => new Promise(resolve => {
+      for (const client of wss.clients) client.terminate();
+      server.close(resolve);
+    }),
+  };
+}
+
+function silentWav(ms, sampleRate = 16000) {
+  const data = Buffer.alloc(Math.round((sampleRate * ms) / 1000) * 2);
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0);
+  header.writeUInt32LE(36 + data.length, 4);
+  header.write('WAVE', 8);
+  header.write('fmt ', 12);
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20); // PCM
+  header.writeUInt16LE(1, 22); // mono
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * 2, 28);
+  header.writeUInt16LE(2, 32);
+  header.writeUInt16LE(16, 34);
+  header.write('data', 36);
+  header.writeUInt32LE(data.length, 40);
+  return Buffer.concat([header, data]);
+}
+
+// Standalone: `node sim/fake-cloud.js [port]` keeps the stand-ins up for local development
+if (process.argv[1] && fileURLToPath(import.meta.url) === path.resolve(process.argv[1])) {
+  const cloud = await startFakeCloud({ port: Number(process.argv[2]) || 4010 });
+  console.log(`fake cloud on ${cloud.url}`);
+  console.log(`  TWILIO_API_BASE=${cloud.url}\n  ELEVEN_API_BASE=${cloud.url}\n  ELEVEN_WS_URL=${cloud.scribeUrl}`);
+  console.log(`  VOSK_URL=${cloud.voskUrl}\n  OPENAI_BASE_URL=${cloud.openaiUrl}\n  TTS_HTTP_URL=${cloud.ttsUrl}`);
+}
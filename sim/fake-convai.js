@@ -0,0 +1,133 @@
+import crypto from 'crypto';
+
+// Stand-in for the ElevenLabs ConvAI conversation socket. reply(text, conversation) decides what
+// the agent says back to each user_message; the answer is streamed as response parts. toolCalls
+// ({ when, tool, parameters }) are made as client tool calls, and answered, before replying to a
+// message containing `when`.
+export class FakeConvAI {
+  constructor({ reply = text => `Okay. You said: ${text}`, toolCalls = [], responseDelayMs = 100, pingIntervalMs = 2000 } = {}) {
+    this.reply = reply;
+    this.toolCalls = toolCalls;
+    this.responseDelayMs = responseDelayMs;
+    this.pingIntervalMs = pingIntervalMs;
+    this.conversations = [];
+    this.dropNext = false;
+  }
+
+  // The next user_message is received but the socket dies before it is answered
+  dropOnNextMessage() {
+    this.dropNext = true;
+  }
+
+  get userMessages() {
+    return this.conversations.flatMap(c => c.userMessages);
+  }
+
+  get toolResults() {
+    return this.conversations.flatMap(c => c.toolResults || []);
+  }
+
+  get contextualUpdates() {
+    return this.conversations.flatMap(c => c.contextualUpdates);
+  }
+
+  // OpenAI-compatible /chat/completions: the last user message is the query, any system message
+  // after the first is transcript context
+  async chatCompletion(body) {
+    let conversation = this.conversations.find(c => c.id === 'chat');
+    if (!conversation) {
+      conversation = { id: 'chat', model: body.model, userMessages: [], contextualUpdates: [] };
+      this.conversations.push(conversation);
+    }
+    const messages = body.messages || [];
+    const text = [...messages].reverse().find(m => m.role === 'user')?.content || '';
+    const context = messages.filter(m => m.role === 'system').slice(1).map(m => m.content);
+    conversation.userMessages.push(text);
+    conversation.contextualUpdates.push(...context);
+    await new Promise(resolve => setTimeout(resolve, this.responseDelayMs));
+    const answer = await this.reply(text, conversation);
+    return {
+      id: `chatcmpl-${crypto.randomUUID()}`,
+      object: 'chat.completion',
+      model: body.model,
+      choices: [{ index: 0, finish_reason: 'stop', message: { role: 'assistant', content: answer } }],
+    };
+  }
+
+  handleConnection(ws, req) {
+    const conversation = {
+      id: `conv_${crypto.randomUUID()}`,
+      agentId: new URL(req.url, 'http://localhost').searchParams.get('agent_id'),
+      dynamicVariables: null,
+      userMessages: [],
+      contextualUpdates: [],
+      userActivity: 0,
+      pongs: 0,
+      toolResults: [], // { tool, result, isError }
+      pendingTools: new Map(), // tool_call_id -> settle(result)
+    };
+    this.conversations.push(conversation);
+    ws.send(JSON.stringify({
+      type: 'conversation_initiation_metadata',
+      conversation_initiation_metadata_event: { conversation_id: conversation.id },
+    }));
+    let eventId = 0;
+    const pinger = setInterval(() => {
+      eventId += 1;
+      ws.send(JSON.stringify({ type: 'ping', ping_event: { event_id: eventId } }));
+    }, this.pingIntervalMs);
+    ws.on('close', () => clearInterval(pinger));
+    ws.on('message', raw => {
+      let msg;
+      try {
+        msg = JSON.parse(raw.toString());
+      } catch {
+        return;
+      }
+      if (msg.type === 'conversation_initiation_client_data') conversation.dynamicVariables = msg.dynamic_variables;
+      else if (msg.type === 'contextual_update') conversation.contextualUpdates.push(msg.text);
+      else if (msg.type === 'user_activity') conversation.userActivity += 1;
+      else if (msg.type === 'pong') conversation.pongs += 1;
+      else if (msg.type === 'client_tool_result') conversation.pendingTools.get(msg.tool_call_id)?.(msg);
+      else if (msg.type === 'user_message') {
+        conversation.userMessages.push(msg.text);
+        if (this.dropNext) {
+          this.dropNext = false;
+          ws.close(1011, 'internal error');
+          return;
+        }
+        setTimeout(() => this.respond(ws, msg.text, conversation), this.responseDelayMs);
+      }
+    });
+  }
+
+  async respond(ws, text, conversation) {
+    for (const call of this.toolCalls.filter(c => text.toLowerCase().includes(c.when.toLowerCase()))) {
+      await this.callTool(ws, call, conversation);
+    }
+    const answer = await this.reply(text, conversation);
+    if (!answer || ws.readyState !== ws.OPEN) return;
+    ws.send(JSON.stringify({ type: 'agent_chat_response_part', text_response_part: { type: 'start' } }));
+    for (const word of answer.split(/(?<= )/)) {
+      ws.send(JSON.stringify({ type: 'agent_chat_response_part', text_response_part: { type: 'delta', text: word } }));
+    }
+    ws.send(JSON.stringify({ type: 'agent_chat_response_part', text_response_part: { type: 'stop' } }));
+    ws.send(JSON.stringify({ type: 'agent_response', agent_response_event: { agent_response: answer } }));
+  }
+
+  // Resolves once the client answers, or after a while if it never does
+  callTool(ws, { tool, parameters = {} }, conversation) {
+    const id = `toolcall_${crypto.randomUUID()}`;
+    return new Promise(resolve => {
+      const settle = msg => {
+        clearTimeout(timer);
+        conversation.pendingTools.delete(id);
+        conversation.toolResults.push({ tool, result: msg?.result ?? null, isError: msg ? !!msg.is_error : null });
+        resolve();
+      };
+      const timer = setTimeout(() => settle(null), 20000);
+      conversation.pendingTools.set(id, settle);
+      ws.send(JSON.stringify({ type: 'client_tool_call', client_tool_call: { tool_name: tool, tool_call_id: id, parameters } }));
+    });
+  }
+}
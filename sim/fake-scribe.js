@@ -0,0 +1,102 @@
+import crypto from 'crypto';
+
+// Stand-in for the ElevenLabs realtime Scribe socket, and for a vosk-server style socket when
+// connected with { protocol: 'vosk' }. Audio is counted, not transcribed: scenarios decide what
+// each connection "hears" through say().
+export class FakeScribe {
+  constructor() {
+    this.sessions = [];
+    this.waiters = [];
+    this.dropped = []; // session indexes whose next connection is a reconnect
+  }
+
+  handleConnection(ws, req, { protocol = 'scribe' } = {}) {
+    const session = {
+      ws,
+      protocol,
+      query: Object.fromEntries(new URL(req.url, 'http://localhost').searchParams),
+      apiKey: req.headers['xi-api-key'],
+      audioBytes: 0,
+      chunks: 0,
+      commits: 0,
+      reconnects: 0,
+    };
+    // A reconnecting client takes over its old slot, so scenarios keep addressing it by call index
+    if (this.dropped.length) {
+      const index = this.dropped.shift();
+      const old = this.sessions[index];
+      Object.assign(session, { audioBytes: old.audioBytes, chunks: old.chunks, commits: old.commits, reconnects: old.reconnects + 1 });
+      this.sessions[index] = session;
+    } else {
+      this.sessions.push(session);
+    }
+    if (protocol === 'scribe') {
+      ws.send(JSON.stringify({ message_type: 'session_started', session_id: crypto.randomUUID(), config: session.query }));
+    }
+    ws.on('message', (raw, isBinary) => {
+      if (isBinary) {
+        session.audioBytes += raw.length / 2; // 16-bit PCM, counted as the μ-law bytes it came from
+        session.chunks += 1;
+        return;
+      }
+      let msg;
+      try {
+        msg = JSON.parse(raw.toString());
+      } catch {
+        return;
+      }
+      if (msg.config) session.config = msg.config;
+      if (msg.message_type !== 'input_audio_chunk') return;
+      session.audioBytes += Buffer.from(msg.audio_base_64 || '', 'base64').length;
+      session.chunks += 1;
+      if (msg.commit) session.commits += 1;
+    });
+    this.waiters = this.waiters.filter(w => !w());
+  }
+
+  waitForSessions(count, timeoutMs = 5000) {
+    return this.waitUntil(() => this.sessions.length >= count, timeoutMs, `${count} scribe sessions`);
+  }
+
+  waitUntil(ready, timeoutMs, label) {
+    if (ready()) return Promise.resolve();
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error(`timed out waiting for ${label}`)), timeoutMs);
+      this.waiters.push(() => {
+        if (!ready()) return false;
+        clearTimeout(timer);
+        resolve();
+        return true;
+      });
+    });
+  }
+
+  // Server-side drop, as when the provider restarts; the client is expected to reconnect
+  drop(index) {
+    const session = this.sessions[index];
+    if (!session) throw new Error(`no scribe session ${index}`);
+    this.dropped.push(index);
+    session.ws.close(1012, 'service restart');
+  }
+
+  // Grows a partial word by word, then commits the full text, like Scribe's VAD commit
+  // commit: false leaves the utterance hanging in partials, as when Scribe never commits it
+  // language: reported on the commit, as Scribe does with include_language_detection
+  async say(index, text, { partialDelayMs = 60, timeoutMs = 10000, commit = true, language } = {}) {
+    await this.waitUntil(() => !this.dropped.includes(index), timeoutMs, `scribe session ${index} to reconnect`);
+    const session = this.sessions[index];
+    if (!session) throw new Error(`no scribe session ${index}`);
+    const words = text.split(/\s+/).filter(Boolean);
+    const vosk = session.protocol === 'vosk';
+    for (let i = 1; i <= words.length; i += 1) {
+      const partial = words.slice(0, i).join(' ');
+      session.ws.send(JSON.stringify(vosk ? { partial } : { message_type: 'partial_transcript', text: partial }));
+      await sleep(partialDelayMs);
+    }
+    if (commit) session.ws.send(JSON.stringify(vosk ? { text } : { message_type: 'committed_transcript', text, ...(language ? { language_code: language } : {}) }));
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
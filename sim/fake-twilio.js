@@ -0,0 +1,147 @@
+import crypto from 'crypto';
+import express from 'express';
+import axios from 'axios';
+
+const sid = prefix => `${prefix}${crypto.randomBytes(16).toString('hex')}`;
+
+// Stand-in for the slice of the Twilio REST API the server uses: conferences, participants and calls.
+// Announce URLs are fetched like Twilio would, so signed /audio links get exercised too.
+export class FakeTwilio {
+  constructor() {
+    this.conferences = new Map(); // sid -> { sid, friendlyName, status, participants: Map }
+    this.calls = new Map(); // sid -> { sid, to, from, status, twiml, statusCallback, sendDigits }
+    this.announces = []; // { conferenceSid, callSid, url, status, bytes }
+    this.requests = []; // { method, path, body }
+    this.onDial = null; // (call, conference) => void, e.g. to answer the agent's loopback leg
+  }
+
+  addConference(friendlyName) {
+    const conference = { sid: sid('CF'), friendlyName, status: 'in-progress', participants: new Map() };
+    this.conferences.set(conference.sid, conference);
+    return conference;
+  }
+
+  addParticipant(conference, callSid, { label = null } = {}) {
+    const participant = { callSid, label, muted: false, hold: false, status: 'connected' };
+    conference.participants.set(callSid, participant);
+    return participant;
+  }
+
+  find(ref) {
+    return this.conferences.get(ref) || [...this.conferences.values()].find(c => c.friendlyName === ref) || null;
+  }
+
+  router() {
+    const r = express.Router();
+    r.use((req, _res, next) => {
+      this.requests.push({ method: req.method, path: req.path, body: req.body });
+      next();
+    });
+
+    r.get('/Conferences.json', (req, res) => {
+      const list = [...this.conferences.values()].filter(c =>
+        (!req.query.FriendlyName || c.friendlyName === req.query.FriendlyName)
+        && (!req.query.Status || c.status === req.query.Status));
+      res.json({ conferences: list.map(conferenceJson), page: 0, page_size: 50 });
+    });
+
+    r.get('/Conferences/:sid.json', (req, res) => {
+      const conference = this.find(req.params.sid);
+      if (!conference) return notFound(res);
+      res.json(conferenceJson(conference));
+    });
+
+    r.post('/Conferences/:sid.json', async (req, res) => {
+      const conference = this.find(req.params.sid);
+      if (!conference) return notFound(res);
+      if (req.body.AnnounceUrl) await this.announce({ conferenceSid: conference.sid, url: req.body.AnnounceUrl });
+      if (req.body.Status === 'completed') conference.status = 'completed';
+      res.json(conferenceJson(conference));
+    });
+
+    r.get('/Conferences/:sid/Participants.json', (req, res) => {
+      const conference = this.find(req.params.sid);
+      if (!conference) return notFound(res);
+      res.json({ participants: [...conference.participants.values()].map(p => participantJson(conference, p)), page: 0, page_size: 50 });
+    });
+
+    r.post('/Conferences/:sid/Participants.json', (req, res) => {
+      const conference = this.find(req.params.sid);
+      if (!conference) return notFound(res);
+      const call = { sid: sid('CA'), to: req.body.To, from: req.body.From, status: 'queued' };
+      this.calls.set(call.sid, call);
+      const participant = this.addParticipant(conference, call.sid, { label: req.body.Label || null });
+      res.status(201).json(participantJson(conference, participant));
+      this.onDial?.(call, conference);
+    });
+
+    r.post('/Conferences/:sid/Participants/:callSid.json', async (req, res) => {
+      const conference = this.find(req.params.sid);
+      const participant = conference?.participants.get(req.params.callSid);
+      if (!participant) return notFound(res);
+      if ('Muted' in req.body) participant.muted = req.body.Muted === 'true';
+      if ('Hold' in req.body) participant.hold = req.body.Hold === 'true';
+      if (req.body.AnnounceUrl) await this.announce({ conferenceSid: conference.sid, callSid: participant.callSid, url: req.body.AnnounceUrl });
+      res.json(participantJson(conference, participant));
+    });
+
+    r.delete('/Conferences/:sid/Participants/:callSid.json', (req, res) => {
+      const conference = this.find(req.params.sid);
+      if (!conference?.participants.delete(req.params.callSid)) return notFound(res);
+      res.sendStatus(204);
+    });
+
+    r.post('/Calls.json', (req, res) => {
+      const call = {
+        sid: sid('CA'),
+        to: req.body.To,
+        from: req.body.From,
+        status: 'queued',
+        twiml: req.body.Twiml || null,
+        statusCallback: req.body.StatusCallback || null,
+        sendDigits: req.body.SendDigits || null,
+      };
+      this.calls.set(call.sid, call);
+      res.status(201).json(callJson(call));
+      this.onDial?.(call, null);
+    });
+
+    r.post('/Calls/:sid.json', (req, res) => {
+      const call = this.calls.get(req.params.sid) || { sid: req.params.sid, status: 'in-progress' };
+      if (req.body.Status) call.status = req.body.Status;
+      if (req.body.Twiml) call.twiml = req.body.Twiml;
+      this.calls.set(call.sid, call);
+      res.json(callJson(call));
+    });
+
+    return r;
+  }
+
+  async announce({ conferenceSid, callSid = null, url }) {
+    const entry = { conferenceSid, callSid, url, status: null, bytes: 0, at: Date.now() };
+    this.announces.push(entry);
+    try {
+      const resp = await axios.get(url, { responseType: 'arraybuffer', validateStatus: () => true });
+      entry.status = resp.status;
+      entry.bytes = resp.data?.length || 0;
+    } catch (err) {
+      entry.status = err.message;
+    }
+  }
+}
+
+function notFound(res) {
+  res.status(404).json({ code: 20404, message: 'The requested resource was not found', status: 404 });
+}
+
+function conferenceJson(c) {
+  return { sid: c.sid, friendly_name: c.friendlyName, status: c.status, account_sid: 'ACsim' };
+}
+
+function participantJson(c, p) {
+  return { call_sid: p.callSid, conference_sid: c.sid, label: p.label, muted: p.muted, hold: p.hold, status: p.status };
+}
+
+function callJson(call) {
+  return { sid: call.sid, to: call.to, from: call.from, status: call.status };
+}
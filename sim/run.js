@@ -0,0 +1,494 @@
+// Offline simulation: runs scenario files against src/server.js with Twilio and ElevenLabs
+// replaced by local stand-ins. Usage: node sim/run.js [scenario.json ...]
+import fs from 'fs';
+import os from 'os';
+import net from 'net';
+import path from 'path';
+import crypto from 'crypto';
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+import axios from 'axios';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+import { startFakeCloud } from './fake-cloud.js';
+import { TwilioDriver, SimCall, sleep } from './driver.js';
+
+const SIM_DIR = path.dirname(fileURLToPath(import.meta.url));
+const SERVER = path.join(SIM_DIR, '..', 'src', 'server.js');
+const TWILIO_NUMBER = '+15550000000';
+const AUTH_TOKEN = 'sim-auth-token';
+const TOOL_SECRET = 'sim-tool-secret';
+
+const callSid = () => `CA${crypto.randomBytes(16).toString('hex')}`;
+
+async function freePort() {
+  const srv = net.createServer();
+  await new Promise(resolve => srv.listen(0, resolve));
+  const { port } = srv.address();
+  await new Promise(resolve => srv.close(resolve));
+  return port;
+}
+
+async function startServer(env, { verbose }) {
+  const port = await freePort();
+  const baseUrl = `http://localhost:${port}`;
+  const child = spawn(process.execPath, [SERVER], {
+    env: { ...process.env, ...env, PORT: String(port), PUBLIC_BASE_URL: baseUrl, PUBLIC_WS_URL: `ws://localhost:${port}/media` },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+  const log = [];
+  const collect = chunk => {
+    log.push(chunk.toString());
+    if (verbose) process.stdout.write(chunk);
+  };
+  child.stdout.on('data', collect);
+  child.stderr.on('data', collect);
+  const exited = new Promise(resolve => child.once('exit', resolve));
+  for (let i = 0; i < 100; i += 1) {
+    if (child.exitCode !== null) break;
+    try {
+      await axios.get(`${baseUrl}/health`, { timeout: 500 });
+      return { baseUrl, log, stop: () => { child.kill(); return exited; } };
+    } catch {
+      await sleep(100);
+    }
+  }
+  child.kill();
+  throw new Error(`server did not start:\n${log.join('')}`);
+}
+
+// The fake agent's answer: the first of scenario.replies whose `when` is in the message (e.g. the
+// recap prompt), else scenario.reply; {text} is what it was sent
+function replyFor({ reply, replies = [] }) {
+  if (!reply && !replies.length) return undefined;
+  return text => {
+    const match = replies.find(r => text.toLowerCase().includes(r.when.toLowerCase()));
+    const answer = match ? match.reply : reply;
+    return typeof answer === 'string' ? answer.replace('{text}', text) : JSON.stringify(answer);
+  };
+}
+
+async function runScenario(file, { verbose }) {
+  const scenario = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const cloud = await startFakeCloud({ reply: replyFor(scenario), toolCalls: scenario.agentTools, responseDelayMs: scenario.agentDelayMs });
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sim-'));
+  const profilesFile = path.join(workDir, 'profiles.json');
+  if (scenario.profiles) fs.writeFileSync(profilesFile, JSON.stringify(scenario.profiles));
+  const contactsFile = path.join(workDir, 'contacts.json');
+  if (scenario.contacts) fs.writeFileSync(contactsFile, JSON.stringify({ contacts: scenario.contacts }));
+  const env = {
+    TWILIO_ACCOUNT_SID: 'ACsim',
+    TWILIO_AUTH_TOKEN: AUTH_TOKEN,
+    TWILIO_NUMBER,
+    TWILIO_API_BASE: cloud.url,
+    ELEVEN_API_KEY: 'sim-key',
+    ELEVEN_WS_URL: cloud.scribeUrl,
+    ELEVEN_API_BASE: cloud.url,
+    ELEVEN_AGENT_ID: 'agent_sim',
+    ELEVEN_VOICE_ID: 'voice_sim',
+    VOSK_URL: cloud.voskUrl,
+    OPENAI_BASE_URL: cloud.openaiUrl,
+    OPENAI_API_KEY: 'sim-key',
+    TTS_HTTP_URL: cloud.ttsUrl,
+    TOOL_SECRET,
+    STORE_DRIVER: 'memory',
+    RECAP: 'false',
+    RECORDINGS_DIR: path.join(workDir, 'recordings'),
+    ...(scenario.profiles ? { PROFILES_FILE: profilesFile } : {}),
+    ...(scenario.contacts ? { CONTACTS_FILE: contactsFile } : {}),
+    // {cloud} in a value is the fake cloud's URL, e.g. for webhook tools pointed at /hooks
+    ...Object.fromEntries(Object.entries(scenario.env || {}).map(([k, v]) => [k, String(v).replaceAll('{cloud}', cloud.url)])),
+  };
+  const server = await startServer(env, { verbose });
+  const driver = new TwilioDriver({ baseUrl: server.baseUrl, authToken: AUTH_TOKEN });
+  const calls = [];
+  let conference = null;
+  const background = [];
+
+  // Calls the app places: the stream-mode agent leg dials our own number, add-participant dials people,
+  // and an incident pages the on-call rotation
+  const answer = async call => {
+    if (call.twiml?.includes('<Gather')) {
+      await answerPage(call);
+    } else if (call.to === TWILIO_NUMBER && call.sendDigits) {
+      await answerAgentLeg(call);
+    } else if (call.twiml && conference) {
+      cloud.twilio.addParticipant(conference, call.sid);
+      const sim = new SimCall({ callSid: call.sid, from: call.to, twiml: call.twiml });
+      await joinCall(sim);
+    }
+  };
+  cloud.twilio.onDial = call => background.push(answer(call).catch(err => console.warn('  sim dial failed:', err.message)));
+
+  // The loopback agent leg: our number's side hears the code keyed in with sendDigits and streams,
+  // the dialing side joins the conference its TwiML names
+  async function answerAgentLeg(call) {
+    const params = { CallSid: callSid(), From: call.from, To: call.to, AccountSid: 'ACsim' };
+    const gather = await driver.webhook('/voice/inbound', params);
+    const action = gather.match(/<Gather\b[^>]*\saction="([^"]*)"/)?.[1];
+    if (!action) throw new Error('agent leg was not asked for its code');
+    const twiml = await driver.webhook(action.replace(server.baseUrl, ''), { ...params, Digits: call.sendDigits.replace(/[^0-9*]/g, '') });
+    await new SimCall({ callSid: params.CallSid, from: call.from, twiml }).open();
+    const conf = cloud.twilio.find(call.twiml.match(/<Conference\b[^>]*>([^<]*)<\/Conference>/)[1]);
+    cloud.twilio.addParticipant(conf, call.sid, { label: 'agent' });
+    await driver.confEvent('participant-join', { conferenceSid: conf.sid, friendlyName: conf.friendlyName, callSid: call.sid, label: 'agent' });
+  }
+
+  // Numbers in the scenario's incident.unanswered let it ring out; everyone else presses 1
+  async function answerPage(call) {
+    const params = { CallSid: call.sid, From: call.from, To: call.to, AccountSid: 'ACsim' };
+    if (scenario.incident.unanswered?.includes(call.to)) {
+      await driver.webhook(call.statusCallback.replace(server.baseUrl, ''), { ...params, CallStatus: 'no-answer' });
+      return;
+    }
+    const action = call.twiml.match(/<Gather\b[^>]*\saction="([^"]*)"/)[1];
+    const twiml = await driver.webhook(action.replace(server.baseUrl, ''), { ...params, Digits: '1' });
+    if (!conference) {
+      conference = cloud.twilio.addConference(twiml.match(/<Conference\b[^>]*>([^<]*)<\/Conference>/)[1]);
+      await driver.confEvent('conference-start', { conferenceSid: conference.sid, friendlyName: conference.friendlyName });
+    }
+    cloud.twilio.addParticipant(conference, call.sid);
+    await joinCall(new SimCall({ callSid: call.sid, from: call.to, twiml }));
+  }
+
+  // An alert webhook instead of an inbound call; the scenario starts once the first person joins
+  async function startIncident({ alert, profile, timeoutMs = 10000 }) {
+    const query = profile ? `?profile=${encodeURIComponent(profile)}` : '';
+    const resp = await axios.post(`${server.baseUrl}/incidents${query}`, alert, {
+      headers: { Authorization: `Bearer ${TOOL_SECRET}` },
+      validateStatus: () => true,
+    });
+    if (resp.status !== 202) throw new Error(`/incidents returned ${resp.status}: ${JSON.stringify(resp.data)}`);
+    const deadline = Date.now() + timeoutMs;
+    while (!calls.length) {
+      if (Date.now() > deadline) throw new Error('nobody joined the incident bridge');
+      await sleep(100);
+    }
+  }
+
+  async function joinCall(sim) {
+    await sim.open();
+    calls.push(sim);
+    await cloud.scribe.waitForSessions(calls.length);
+    await driver.confEvent('participant-join', { conferenceSid: conference.sid, friendlyName: conference.friendlyName, callSid: sim.callSid });
+  }
+
+  const failures = [];
+  const dashboardEvents = []; // what /dashboard/events streamed, once a step subscribed
+  let dashboardStream = null;
+  let inboundTwiml = '';
+  try {
+    if (scenario.incident) await startIncident(scenario.incident);
+    else await callIn();
+
+    for (const step of scenario.steps || []) await runStep(step);
+    await Promise.all(background);
+    await sleep(scenario.settleMs ?? 500);
+    await checkExpectations();
+  } catch (err) {
+    failures.push(err.message);
+  } finally {
+    dashboardStream?.destroy();
+    for (const call of calls) call.hangup();
+    await server.stop();
+    await cloud.close();
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+  if (failures.length && !verbose) process.stdout.write(server.log.join('').split('\n').slice(-40).join('\n'));
+  return failures;
+
+  async function callIn() {
+    const caller = scenario.caller || '+15551230001';
+    const sid = callSid();
+    const inbound = { CallSid: sid, From: caller, To: scenario.dialed || TWILIO_NUMBER, AccountSid: 'ACsim' };
+    let twiml = await driver.webhook('/voice/inbound', inbound);
+    // A shared number asks for a PIN: key in the scenario's PINs, one per prompt
+    for (const pin of scenario.pins || []) {
+      const action = twiml.match(/<Gather\b[^>]*\saction="([^"]*)"/)?.[1];
+      if (!action) throw new Error(`no PIN prompt left for ${pin}`);
+      twiml = await driver.webhook(action.replace(server.baseUrl, ''), { ...inbound, Digits: pin });
+    }
+    inboundTwiml = twiml;
+    conference = cloud.twilio.addConference(sid);
+    cloud.twilio.addParticipant(conference, sid);
+    await driver.confEvent('conference-start', { conferenceSid: conference.sid, friendlyName: conference.friendlyName });
+    await joinCall(new SimCall({ callSid: sid, from: caller, twiml }));
+  }
+
+  async function runStep(step) {
+    if (step.say) {
+      const { call = 0, text, commit, language } = step.say;
+      await cloud.scribe.say(call, text, { commit, language });
+    } else if (step.wait) {
+      await sleep(step.wait);
+    } else if (step.waitFor) {
+      await waitFor(step.waitFor);
+    } else if (step.silence) {
+      await calls[step.silence.call || 0].sendSilence(step.silence.ms);
+    } else if (step.tone) {
+      await calls[step.tone.call || 0].sendTone(step.tone.ms, step.tone);
+    } else if (step.check) {
+      await checkExpectations(step.check);
+      if (failures.length) throw new Error('stopped at a failed check');
+    } else if (step.replay) {
+      await calls[step.replay.call || 0].replay(path.resolve(SIM_DIR, step.replay.file), { speed: step.replay.speed });
+    } else if (step.drop) {
+      if (step.drop.scribe !== undefined) cloud.scribe.drop(step.drop.scribe);
+      if (step.drop.agent) cloud.convai.dropOnNextMessage();
+    } else if (step.end) {
+      for (const call of calls) call.hangup();
+      await driver.confEvent('conference-end', { conferenceSid: conference.sid, friendlyName: conference.friendlyName });
+    } else if (step.tool) {
+      const body = { conferenceSid: conference.sid, conference: conference.friendlyName, ...step.tool.body };
+      const toolPath = step.tool.path.replace('{conference}', encodeURIComponent(conference.friendlyName));
+      const resp = await axios.post(`${server.baseUrl}${toolPath}`, body, {
+        headers: step.tool.auth === false ? {} : { Authorization: `Bearer ${TOOL_SECRET}` },
+        validateStatus: () => true,
+      });
+      if (resp.status !== (step.tool.status || 200)) throw new Error(`${step.tool.path} returned ${resp.status}: ${JSON.stringify(resp.data)}`);
+      for (const needle of [].concat(step.tool.includes || [])) {
+        if (!JSON.stringify(resp.data).includes(needle)) throw new Error(`${step.tool.path}: "${needle}" not in ${JSON.stringify(resp.data)}`);
+      }
+      await Promise.all(background);
+    } else if (step.mcp) {
+      await mcpStep(step.mcp);
+    } else if (step.dashboard) {
+      await subscribeDashboard();
+    } else {
+      throw new Error(`unknown step ${JSON.stringify(step)}`);
+    }
+  }
+
+  // Reads the dashboard's server-sent events for the rest of the scenario
+  async function subscribeDashboard() {
+    const resp = await axios.get(`${server.baseUrl}/dashboard/events`, {
+      headers: { Authorization: `Basic ${Buffer.from(`sim:${env.DASHBOARD_PASSWORD}`).toString('base64')}` },
+      responseType: 'stream',
+      validateStatus: () => true,
+    });
+    if (resp.status !== 200) throw new Error(`/dashboard/events returned ${resp.status}`);
+    dashboardStream = resp.data;
+    let buffered = '';
+    dashboardStream.on('data', chunk => {
+      buffered += chunk.toString();
+      const frames = buffered.split('\n\n');
+      buffered = frames.pop();
+      for (const frame of frames) {
+        if (frame.startsWith('data: ')) dashboardEvents.push(JSON.parse(frame.slice(6)));
+      }
+    });
+  }
+
+  // In a request body or tool arguments, {conference} is the scenario's conference name and
+  // {callSid} the first call's SID
+  function withPlaceholders(value) {
+    return JSON.parse(JSON.stringify(value)
+      .replaceAll('{conference}', conference.friendlyName)
+      .replaceAll('{callSid}', calls[0]?.callSid || ''));
+  }
+
+  // An MCP client over streamable HTTP: { list: true } lists the tools, { tool, arguments } calls one;
+  // the text that comes back must contain `includes` and none of `excludes`
+  async function mcpStep({ list, tool, arguments: args = {}, isError = false, includes = [], excludes = [] }) {
+    const client = new Client({ name: 'sim', version: '0.1.0' });
+    const transport = new StreamableHTTPClientTransport(new URL(`${server.baseUrl}/mcp`), {
+      requestInit: { headers: { Authorization: `Bearer ${TOOL_SECRET}` } },
+    });
+    await client.connect(transport);
+    try {
+      let text;
+      if (list) {
+        text = (await client.listTools()).tools.map(t => t.name).join(', ');
+      } else {
+        const result = await client.callTool({ name: tool, arguments: withPlaceholders(args) });
+        text = result.content.map(c => c.text).join('\n');
+        if (!!result.isError !== isError) throw new Error(`mcp ${tool}: expected isError ${isError}, got ${text}`);
+      }
+      const label = `mcp ${list ? 'tools/list' : tool}`;
+      for (const needle of [].concat(includes)) {
+        if (!text.includes(needle)) throw new Error(`${label}: "${needle}" not in ${text}`);
+      }
+      for (const needle of [].concat(excludes)) {
+        if (text.includes(needle)) throw new Error(`${label}: "${needle}" should not be in ${text}`);
+      }
+    } finally {
+      await client.close();
+    }
+    await Promise.all(background);
+  }
+
+  async function waitFor({ agentQueries = 0, announces = 0, events = {}, timeoutMs = 5000 }) {
+    const deadline = Date.now() + timeoutMs;
+    for (;;) {
+      const counts = await eventCounts();
+      const done = cloud.convai.userMessages.length >= agentQueries
+        && cloud.twilio.announces.length >= announces
+        && Object.entries(events).every(([type, n]) => (counts[type] || 0) >= n);
+      if (done) return;
+      if (Date.now() > deadline) throw new Error(`timed out waiting for ${JSON.stringify({ agentQueries, announces, events })}`);
+      await sleep(100);
+    }
+  }
+
+  async function eventCounts() {
+    const { data } = await axios.get(`${server.baseUrl}/conferences/${encodeURIComponent(conference.friendlyName)}/events`, {
+      headers: { Authorization: `Bearer ${TOOL_SECRET}` },
+      validateStatus: () => true,
+    });
+    const counts = {};
+    for (const event of Array.isArray(data) ? data : data.events || []) counts[event.type] = (counts[event.type] || 0) + 1;
+    return counts;
+  }
+
+  // { "mixed.wav": minimum duration in ms, ... }: listed, downloadable, and a WAV that long
+  async function checkRecordings(expected) {
+    const auth = { headers: { Authorization: `Bearer ${TOOL_SECRET}` }, validateStatus: () => true };
+    const base = `${server.baseUrl}/conferences/${encodeURIComponent(conference.friendlyName)}/recordings`;
+    const { data } = await axios.get(base, auth);
+    const listed = data.recordings || [];
+    for (const [name, minMs] of Object.entries(expected)) {
+      const entry = listed.find(r => r.name === name);
+      if (!entry) {
+        failures.push(`recordings: ${name} not listed (got ${JSON.stringify(listed.map(r => r.name))})`);
+        continue;
+      }
+      const resp = await axios.get(`${base}/${name}`, { ...auth, responseType: 'arraybuffer' });
+      const wav = Buffer.from(resp.data || []);
+      const ms = wav.length > 44 ? ((wav.length - 44) / 16) : 0;
+      if (resp.status !== 200 || wav.toString('ascii', 0, 4) !== 'RIFF') failures.push(`recordings: ${name} download failed (${resp.status})`);
+      else if (ms < minMs) failures.push(`recordings: ${name} is ${ms} ms, expected at least ${minMs}`);
+    }
+  }
+
+  // { "twilio_agent_wake_hits_total{kind=\"wake\"}": 1, ... }: series from /metrics and their values
+  async function checkMetrics(expected) {
+    const { data } = await axios.get(`${server.baseUrl}/metrics`);
+    const values = new Map(data.split('\n').filter(l => l && !l.startsWith('#')).map(l => {
+      const at = l.lastIndexOf(' ');
+      return [l.slice(0, at), Number(l.slice(at + 1))];
+    }));
+    for (const [series, value] of Object.entries(expected)) {
+      if (values.get(series) !== value) failures.push(`metrics: expected ${series} ${value}, got ${values.get(series) ?? 'nothing'}`);
+    }
+  }
+
+  // { method, path, body, auth, status, includes }: one request to the app and what it must answer.
+  // auth is "tool" (the tool secret), "dashboard" (the scenario's DASHBOARD_PASSWORD) or none at all.
+  async function checkRequest({ method = 'GET', path: route, body, headers: extra = {}, auth, status = 200, includes = [] }) {
+    const url = `${server.baseUrl}${route.replace('{conference}', encodeURIComponent(conference.friendlyName))}`;
+    const data = body === undefined ? undefined : withPlaceholders(body);
+    const headers = { ...extra };
+    if (auth === 'tool') headers.Authorization = `Bearer ${TOOL_SECRET}`;
+    if (auth === 'dashboard') headers.Authorization = `Basic ${Buffer.from(`sim:${env.DASHBOARD_PASSWORD}`).toString('base64')}`;
+    const resp = await axios({ method, url, data, headers, responseType: 'text', validateStatus: () => true });
+    const label = `${method} ${route}${auth ? ` (${auth} auth)` : ''}`;
+    if (resp.status !== status) failures.push(`${label}: expected ${status}, got ${resp.status}`);
+    else includesAll(label, [String(resp.data)], [].concat(includes));
+  }
+
+  function includesAll(label, haystack, needles = []) {
+    for (const needle of needles) {
+      if (!haystack.some(s => s.toLowerCase().includes(needle.toLowerCase()))) {
+        failures.push(`${label}: nothing contains "${needle}" (got ${JSON.stringify(haystack)})`);
+      }
+    }
+  }
+
+  async function checkExpectations(expect = scenario.expect || {}) {
+    includesAll('agent queries', cloud.convai.userMessages, expect.agentQueries);
+    if (expect.agentQueryCount !== undefined && cloud.convai.userMessages.length !== expect.agentQueryCount) {
+      failures.push(`agent queries: expected ${expect.agentQueryCount}, got ${JSON.stringify(cloud.convai.userMessages)}`);
+    }
+    if (expect.agentConversations !== undefined && cloud.convai.conversations.length !== expect.agentConversations) {
+      failures.push(`agent conversations: expected ${expect.agentConversations}, got ${cloud.convai.conversations.length}`);
+    }
+    includesAll('agent context', [...cloud.convai.contextualUpdates, ...cloud.convai.userMessages], expect.contextIncludes);
+    includesAll('spoken text', cloud.tts.map(t => t.text), expect.spoken);
+    if (expect.ttsCount !== undefined && cloud.tts.length !== expect.ttsCount) {
+      failures.push(`TTS requests: expected ${expect.ttsCount}, got ${JSON.stringify(cloud.tts.map(t => `${t.outputFormat}: ${t.text}`))}`);
+    }
+    includesAll('Twilio requests', cloud.twilio.requests.map(r => `${r.method} ${r.path} ${Object.entries(r.body || {}).map(([k, v]) => `${k}=${v}`).join('&')}`), expect.twilioRequests);
+    includesAll('dialed numbers', [...cloud.twilio.calls.values()].map(c => c.to || ''), expect.dialed);
+    for (const [index, ms] of Object.entries(expect.audioMs || {})) {
+      const heard = (cloud.scribe.sessions[index]?.audioBytes || 0) / 8;
+      if (heard < ms) failures.push(`audio: call ${index} sent ${heard} ms to Scribe, expected at least ${ms}`);
+    }
+    for (const [index, ms] of Object.entries(expect.audioMsMax || {})) {
+      const heard = (cloud.scribe.sessions[index]?.audioBytes || 0) / 8;
+      if (heard > ms) failures.push(`audio: call ${index} sent ${heard} ms to Scribe, expected at most ${ms}`);
+    }
+    for (const [index, n] of Object.entries(expect.commits || {})) {
+      const commits = cloud.scribe.sessions[index]?.commits || 0;
+      if (commits !== n) failures.push(`commits: call ${index} sent ${commits} commits, expected ${n}`);
+    }
+    if (expect.announces !== undefined) {
+      const ok = cloud.twilio.announces.filter(a => a.status === 200).length;
+      if (ok !== expect.announces) failures.push(`announces: expected ${expect.announces} fetched, got ${ok} (${JSON.stringify(cloud.twilio.announces)})`);
+    }
+    includesAll('inbound TwiML', [inboundTwiml], expect.inboundTwiml);
+    includesAll('agent IDs', cloud.convai.conversations.map(c => c.agentId || ''), expect.agentIds);
+    for (const [name, value] of Object.entries(expect.dynamicVariables || {})) {
+      const seen = cloud.convai.conversations.map(c => c.dynamicVariables?.[name]);
+      if (!seen.includes(value)) failures.push(`dynamic variables: no conversation had ${name}=${JSON.stringify(value)} (got ${JSON.stringify(seen)})`);
+    }
+    includesAll('TTS voices', cloud.tts.map(t => t.voiceId || ''), expect.ttsVoices);
+    includesAll('TTS languages', cloud.tts.map(t => `${t.languageCode || ''} ${t.modelId || ''}: ${t.text}`), expect.ttsLanguages);
+    for (const [name, value] of Object.entries(expect.scribeQuery || {})) {
+      const seen = cloud.scribe.sessions.map(session => session.query[name]);
+      if (!seen.length || seen.some(v => v !== value)) failures.push(`scribe query: expected ${name}=${value} on every session, got ${JSON.stringify(seen)}`);
+    }
+    for (const [i, want] of (expect.toolResults || []).entries()) {
+      const got = cloud.convai.toolResults[i];
+      const ok = got && got.tool === want.tool && got.isError === want.isError && String(got.result).includes(want.includes || '');
+      if (!ok) failures.push(`tool result ${i}: expected ${JSON.stringify(want)}, got ${JSON.stringify(got || null)}`);
+    }
+    for (const [name, n] of Object.entries(expect.hooks || {})) {
+      const got = cloud.hooks.filter(h => h.name === name);
+      if (got.length !== n) failures.push(`hooks: expected ${n} calls to ${name}, got ${JSON.stringify(got)}`);
+    }
+    for (const [name, needles] of Object.entries(expect.hookBodies || {})) {
+      includesAll(`hook ${name}`, cloud.hooks.filter(h => h.name === name).map(h => JSON.stringify(h.body)), needles);
+    }
+    for (const request of expect.requests || []) await checkRequest(request);
+    // { "wake": ["what is the ETA"], "tool-call": ["hangup"] }: streamed events of a type, with text in them
+    for (const [type, needles] of Object.entries(expect.dashboardEvents || {})) {
+      const seen = dashboardEvents.filter(e => e.type === type).map(e => JSON.stringify(e));
+      if (!seen.length) failures.push(`dashboard events: no "${type}" event streamed`);
+      else includesAll(`dashboard ${type} events`, seen, needles);
+    }
+    if (expect.recordings) await checkRecordings(expect.recordings);
+    if (expect.metrics) await checkMetrics(expect.metrics);
+    if (expect.health) {
+      const { data } = await axios.get(`${server.baseUrl}/health`);
+      if (data.status !== expect.health) failures.push(`health: expected "${expect.health}", got ${JSON.stringify(data)}`);
+    }
+    const counts = await eventCounts();
+    for (const [type, n] of Object.entries(expect.events || {})) {
+      if ((counts[type] || 0) !== n) failures.push(`events: expected ${n} "${type}", got ${counts[type] || 0}`);
+    }
+  }
+}
+
+const verbose = process.argv.includes('--verbose');
+let files = process.argv.slice(2).filter(a => !a.startsWith('--'));
+if (!files.length) {
+  const dir = path.join(SIM_DIR, 'scenarios');
+  files = fs.readdirSync(dir).filter(f => f.endsWith('.json')).sort().map(f => path.join(dir, f));
+}
+
+let failed = 0;
+for (const file of files) {
+  const name = path.basename(file, '.json');
+  const started = Date.now();
+  const failures = await runScenario(file, { verbose });
+  const took = `${((Date.now() - started) / 1000).toFixed(1)}s`;
+  if (failures.length) {
+    failed += 1;
+    console.log(`✗ ${name} (${took})`);
+    for (const f of failures) console.log(`  - ${f}`);
+  } else {
+    console.log(`✓ ${name} (${took})`);
+  }
+}
+console.log(`${files.length - failed}/${files.length} scenarios passed`);
+process.exit(failed ? 1 : 0);
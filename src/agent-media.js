@@ -0,0 +1,86 @@
+import WebSocket from 'ws';
+import { log } from './log.js';
+
+const FRAME_BYTES = 160; // 20 ms of 8 kHz mu-law
+
+// The agent's own conference leg, fed over a bidirectional <Connect><Stream>.
+export class AgentMediaLeg {
+  constructor({ conferenceName }) {
+    this.conferenceName = conferenceName;
+    this.callSid = null;
+    this.ws = null;
+    this.streamSid = null;
+    this.marks = new Map(); // mark name -> resolve
+    this.markSeq = 0;
+    this.readyResolve = null;
+    this.readyPromise = new Promise(resolve => {
+      this.readyResolve = resolve;
+    });
+  }
+
+  get ready() {
+    return !!(this.ws && this.streamSid && this.ws.readyState === WebSocket.OPEN);
+  }
+
+  get playing() {
+    return this.marks.size > 0;
+  }
+
+  attach(ws, streamSid) {
+    this.ws = ws;
+    this.streamSid = streamSid;
+    log.info('agent leg attached', { conference: this.conferenceName, streamSid });
+    this.readyResolve();
+  }
+
+  waitReady(timeoutMs = 10000) {
+    if (this.ready) return Promise.resolve(true);
+    let timer;
+    return Promise.race([
+      this.readyPromise.then(() => true),
+      new Promise(resolve => {
+        timer = setTimeout(() => resolve(false), timeoutMs);
+      }),
+    ]).finally(() => clearTimeout(timer));
+  }
+
+  // Resolves true once Twilio has played the audio, false if it was cleared first.
+  play(mulaw, label = 'utterance') {
+    if (!this.ready) return Promise.resolve(false);
+    for (let i = 0; i < mulaw.length; i += FRAME_BYTES) {
+      this.send({ event: 'media', streamSid: this.streamSid, media: { payload: mulaw.subarray(i, i + FRAME_BYTES).toString('base64') } });
+    }
+    this.markSeq += 1;
+    const name = `${label}-${this.markSeq}`;
+    this.send({ event: 'mark', streamSid: this.streamSid, mark: { name } });
+    return new Promise(resolve => this.marks.set(name, resolve));
+  }
+
+  clear() {
+    if (this.ready) this.send({ event: 'clear', streamSid: this.streamSid });
+    for (const resolve of this.marks.values()) resolve(false);
+    this.marks.clear();
+  }
+
+  handleMessage(msg) {
+    if (msg.event === 'mark') {
+      const name = msg.mark?.name;
+      const resolve = this.marks.get(name);
+      if (resolve) {
+        this.marks.delete(name);
+        resolve(true);
+      }
+    }
+  }
+
+  detach() {
+    for (const resolve of this.marks.values()) resolve(false);
+    this.marks.clear();
+    this.ws = null;
+    this.streamSid = null;
+  }
+
+  send(payload) {
+    this.ws.send(JSON.stringify(payload));
+  }
+}
@@ -0,0 +1,84 @@
+import { log } from './log.js';
+
+// One agent conversation per conference, shared by every participant leg.
+export class AgentSession {
+  constructor(key, client, participants = new Set()) {
+    this.key = key;
+    this.client = client;
+    this.participants = participants;
+    this.lastCallSid = null;
+    this.lastSpeaker = null;
+    this.queue = Promise.resolve();
+  }
+
+  // Queries are serialized so two legs waking at once don't clobber each other's pending response.
+  ask({ callSid, speaker, text, context }) {
+    const run = async () => {
+      this.lastCallSid = callSid;
+      this.lastSpeaker = speaker;
+      await this.client.connect();
+      if (context) this.client.sendContextualUpdate(context);
+      return this.client.sendText(text);
+    };
+    const result = this.queue.then(run, run);
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  close() {
+    this.client.close();
+  }
+}
+
+export class AgentSessionRegistry {
+  constructor() {
+    this.sessions = new Map(); // conference key -> AgentSession
+    this.members = new Map(); // conference key -> Set<callSid>, tracked before any session exists
+  }
+
+  get(key) {
+    return this.sessions.get(key) || null;
+  }
+
+  acquire(key, createClient) {
+    let session = this.sessions.get(key);
+    if (!session) {
+      session = new AgentSession(key, createClient(key), this.membersOf(key));
+      this.sessions.set(key, session);
+      log.info('agent session created', { conference: key });
+    }
+    return session;
+  }
+
+  membersOf(key) {
+    let members = this.members.get(key);
+    if (!members) {
+      members = new Set();
+      this.members.set(key, members);
+    }
+    return members;
+  }
+
+  join(key, callSid) {
+    if (callSid) this.membersOf(key).add(callSid);
+  }
+
+  // Returns true when the last participant left and the conference's session was ended.
+  leave(key, callSid) {
+    const members = this.members.get(key);
+    if (!members) return false;
+    members.delete(callSid);
+    if (members.size > 0) return false;
+    this.end(key);
+    return true;
+  }
+
+  end(key) {
+    this.members.delete(key);
+    const session = this.sessions.get(key);
+    if (!session) return;
+    session.close();
+    this.sessions.delete(key);
+    log.info('agent session closed', { conference: key });
+  }
+}
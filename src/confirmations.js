@@ -0,0 +1,82 @@
+import crypto from 'crypto';
+import { log } from './log.js';
+
+// Destructive actions wait here until someone on the call says a confirm or cancel phrase.
+// With requireOther set the confirm has to come from a different call leg than the one that asked,
+// or, when no leg asked (a webhook or MCP client did), from two different legs; anyone can still cancel.
+export class ConfirmationGate {
+  constructor({ timeoutMs = 30000, confirmPhrases = [], cancelPhrases = [], onExpire } = {}) {
+    this.timeoutMs = timeoutMs;
+    this.confirmPhrases = confirmPhrases;
+    this.cancelPhrases = cancelPhrases;
+    this.onExpire = onExpire;
+    this.pending = new Map(); // conference key -> pending action (one at a time per conference)
+  }
+
+  // run() executes the action; a newer request replaces (and cancels) an older one
+  request(confKey, { description, run, requestedBy, requestedByCallSid, requireOther = false, ...details }) {
+    this.cancel(confKey, 'superseded');
+    const entry = {
+      id: crypto.randomUUID(),
+      confKey,
+      description,
+      run,
+      requestedBy: requestedBy || null,
+      requestedByCallSid: requestedByCallSid || null,
+      requireOther,
+      confirmedBy: [], // legs that confirmed a requireOther action still waiting on another
+      details, // whatever the caller wants back when the action is decided
+      createdAt: Date.now(),
+      timer: null,
+    };
+    entry.timer = setTimeout(() => {
+      if (this.pending.get(confKey) !== entry) return;
+      this.pending.delete(confKey);
+      log.info('confirmation expired', { conference: confKey, description });
+      this.onExpire?.(entry);
+    }, this.timeoutMs);
+    this.pending.set(confKey, entry);
+    log.info('confirmation requested', { conference: confKey, description, requestedBy, requireOther });
+    return entry;
+  }
+
+  get(confKey) {
+    return this.pending.get(confKey) || null;
+  }
+
+  cancel(confKey, reason = 'cancelled') {
+    const entry = this.pending.get(confKey);
+    if (!entry) return null;
+    clearTimeout(entry.timer);
+    this.pending.delete(confKey);
+    log.info('confirmation cancelled', { conference: confKey, description: entry.description, reason });
+    return entry;
+  }
+
+  // Returns { decision: 'confirmed' | 'cancelled', entry } when the utterance resolves a pending action,
+  // { decision: 'needs-other', entry } when the requester, or a leg that already confirmed, confirmed
+  // a requireOther action, or { decision: 'needs-second', entry } for the first of the two confirms an
+  // action nobody on the call asked for needs (either way it stays pending). normalized: lower-case
+  // text without punctuation or wake phrase. callSid: the leg that said it.
+  match(confKey, normalized, { callSid } = {}) {
+    const entry = this.pending.get(confKey);
+    if (!entry) return null;
+    if (this.confirmPhrases.includes(normalized)) {
+      if (entry.requireOther) {
+        if (callSid && (callSid === entry.requestedByCallSid || entry.confirmedBy.includes(callSid))) return { decision: 'needs-other', entry };
+        if (!entry.requestedByCallSid && !entry.confirmedBy.length) {
+          entry.confirmedBy.push(callSid);
+          return { decision: 'needs-second', entry };
+        }
+      }
+      clearTimeout(entry.timer);
+      this.pending.delete(confKey);
+      return { decision: 'confirmed', entry };
+    }
+    if (this.cancelPhrases.includes(normalized)) {
+      this.cancel(confKey);
+      return { decision: 'cancelled', entry };
+    }
+    return null;
+  }
+}
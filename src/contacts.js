@@ -0,0 +1,179 @@
+import fs from 'fs';
+import path from 'path';
+import { log } from './log.js';
+
+// Contact directory: who is behind a number, and which number "Alice" or "the database on-call"
+// means. Read from a JSON or CSV file that is re-read whenever it changes, like tenant profiles.
+//
+// JSON: { "contacts": [{ "name": "Alice Chen", "numbers": ["+14155550101"], "aliases": ["Al"],
+//                        "team": "database", "role": "on-call" }] }
+// CSV:  name,numbers,aliases,team,role   (several numbers or aliases separated by ";")
+const E164 = /^\+[1-9]\d{6,14}$/;
+
+export class ContactDirectory {
+  constructor({ file, pollMs = 2000 } = {}) {
+    this.file = file;
+    this.pollMs = pollMs;
+    this.contacts = [];
+    this.byNumber = new Map(); // number -> contact
+    this.loadedAt = null;
+  }
+
+  get size() {
+    return this.contacts.length;
+  }
+
+  // Throws on the first load; later reloads keep the previous contacts when the file is broken
+  load() {
+    if (!this.file) return this;
+    const raw = fs.readFileSync(this.file, 'utf8');
+    const rows = path.extname(this.file).toLowerCase() === '.csv' ? parseCsv(raw) : JSON.parse(raw)?.contacts;
+    if (!Array.isArray(rows)) throw new Error('contacts file needs a "contacts" array');
+    const contacts = rows.map(parseContact);
+    const byNumber = new Map();
+    for (const contact of contacts) {
+      for (const number of contact.numbers) {
+        if (byNumber.has(number)) throw new Error(`contacts ${byNumber.get(number).name} and ${contact.name} both claim ${number}`);
+        byNumber.set(number, contact);
+      }
+    }
+    this.contacts = contacts;
+    this.byNumber = byNumber;
+    this.loadedAt = Date.now();
+    log.info('contacts loaded', { file: this.file, contacts: contacts.length });
+    return this;
+  }
+
+  // Polls rather than fs.watch so editors that replace the file are still noticed
+  watch() {
+    if (!this.file) return this;
+    fs.watchFile(this.file, { interval: this.pollMs, persistent: false }, (curr, prev) => {
+      if (curr.mtimeMs === prev.mtimeMs) return;
+      try {
+        this.load();
+      } catch (err) {
+        log.error('contacts reload failed, keeping previous contacts', { file: this.file, err: err.message });
+      }
+    });
+    return this;
+  }
+
+  close() {
+    if (this.file) fs.unwatchFile(this.file);
+  }
+
+  forNumber(number) {
+    return (number && this.byNumber.get(number)) || null;
+  }
+
+  // The contact's name, or the number itself for strangers
+  displayName(number) {
+    return this.forNumber(number)?.name || number;
+  }
+
+  // Everyone "who" could mean, best matches only: a full name or alias beats a first or last name,
+  // which beats a team and role ("the database on-call"); a bare team name matches the whole team.
+  find(who) {
+    const query = normalize(who);
+    if (!query) return [];
+    let best = 0;
+    let matches = [];
+    for (const contact of this.contacts) {
+      const score = matchScore(contact, query);
+      if (!score || score < best) continue;
+      if (score > best) matches = [];
+      best = score;
+      matches.push(contact);
+    }
+    return matches;
+  }
+
+  // { number, contact } for a number or a single match; { candidates } when it could be more than
+  // one person; { candidates: [] } when nobody matches
+  resolve(who) {
+    const value = String(who || '').trim();
+    if (E164.test(value)) return { number: value, contact: this.forNumber(value) };
+    const matches = this.find(value);
+    if (matches.length === 1) return { number: matches[0].numbers[0], contact: matches[0] };
+    return { candidates: matches };
+  }
+}
+
+// "Alice Chen (database, on-call)", for the agent to read out when it has to ask which one
+export function describeContact(contact) {
+  const detail = [contact.team, contact.role].filter(Boolean).join(', ');
+  return detail ? `${contact.name} (${detail})` : contact.name;
+}
+
+function parseContact(c, i) {
+  if (!c || typeof c !== 'object' || !c.name) throw new Error(`contact ${i + 1} needs a name`);
+  const numbers = [].concat(c.numbers || c.number || []).map(n => String(n).trim()).filter(Boolean);
+  if (!numbers.length) throw new Error(`contact ${c.name} needs a number`);
+  const bad = numbers.find(n => !E164.test(n));
+  if (bad) throw new Error(`contact ${c.name}: ${bad} is not an E.164 number`);
+  return {
+    name: String(c.name).trim(),
+    numbers,
+    aliases: [].concat(c.aliases || []).map(String).filter(Boolean),
+    team: c.team || null,
+    role: c.role || null,
+  };
+}
+
+function matchScore(contact, query) {
+  const name = normalize(contact.name);
+  if (name === query || contact.aliases.some(alias => normalize(alias) === query)) return 4;
+  const parts = name.split(' ');
+  if (parts.length > 1 && (parts[0] === query || parts[parts.length - 1] === query)) return 3;
+  const padded = ` ${query} `;
+  const team = normalize(contact.team);
+  const role = normalize(contact.role);
+  if (team && role && padded.includes(` ${team} `) && padded.includes(` ${role} `)) return 2;
+  if (team && (query === team || query === `${team} team`)) return 1;
+  if (role && query === role) return 1;
+  return 0;
+}
+
+// Lower case, no punctuation, "on-call" as "on call", without a leading "the"
+function normalize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/['’]s\b/g, '')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim()
+    .replace(/^the /, '');
+}
+
+// Header row, then one contact per line; quoted fields may hold commas and "" for a quote
+function parseCsv(raw) {
+  const lines = raw.split(/\r?\n/).filter(line => line.trim());
+  const header = splitCsvLine(lines.shift() || '').map(h => h.trim().toLowerCase());
+  return lines.map(line => {
+    const fields = splitCsvLine(line);
+    const row = Object.fromEntries(header.map((h, i) => [h, (fields[i] || '').trim()]));
+    const list = value => (value ? value.split(';').map(s => s.trim()).filter(Boolean) : []);
+    return { ...row, numbers: list(row.numbers || row.number), aliases: list(row.aliases) };
+  });
+}
+
+function splitCsvLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i += 1) {
+    const ch = line[i];
+    if (quoted && ch === '"' && line[i + 1] === '"') {
+      field += '"';
+      i += 1;
+    } else if (ch === '"') {
+      quoted = !quoted;
+    } else if (ch === ',' && !quoted) {
+      fields.push(field);
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  fields.push(field);
+  return fields;
+}
@@ -0,0 +1,86 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const PAGE_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), 'dashboard.html');
+
+// Fan-out of live events to server-sent-event clients, with a short replay buffer for new tabs.
+export class EventFeed {
+  constructor({ replay = 200 } = {}) {
+    this.replay = replay;
+    this.recent = [];
+    this.clients = new Set();
+  }
+
+  publish(type, data = {}) {
+    const event = { at: Date.now(), ...data, type };
+    this.recent.push(event);
+    if (this.recent.length > this.replay) this.recent.shift();
+    const frame = `data: ${JSON.stringify(event)}\n\n`;
+    for (const res of this.clients) res.write(frame);
+    return event;
+  }
+
+  subscribe(res) {
+    this.clients.add(res);
+    for (const event of this.recent) res.write(`data: ${JSON.stringify(event)}\n\n`);
+    return () => this.clients.delete(res);
+  }
+}
+
+// The browser sends Basic credentials with any request to this origin, including a form another
+// site submits. Actions therefore take only JSON, which a cross-site form can't send and cross-site
+// fetch can't send without a CORS preflight nobody answers. A browser that says the request is
+// cross-site (Sec-Fetch-Site) is refused outright.
+function sameSiteJson(req, res, next) {
+  const site = req.get('Sec-Fetch-Site');
+  if (site && site !== 'same-origin' && site !== 'none') return res.status(403).json({ error: 'cross-site request refused' });
+  if (!req.is('application/json')) return res.status(415).json({ error: 'JSON body required' });
+  next();
+}
+
+// snapshot(): active conferences for the page header; actions: { speak(conference, text), hangup(callSid) }
+export function mountDashboard(app, { feed, snapshot, actions, middleware = [] }) {
+  app.get('/dashboard', ...middleware, (_req, res) => {
+    res.type('text/html').send(fs.readFileSync(PAGE_PATH, 'utf8'));
+  });
+
+  app.get('/dashboard/state', ...middleware, (_req, res) => res.json(snapshot()));
+
+  app.get('/dashboard/events', ...middleware, (req, res) => {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+    });
+    const unsubscribe = feed.subscribe(res);
+    // After the replay, so a stale state event from the buffer doesn't win
+    res.write(`data: ${JSON.stringify({ type: 'state', at: Date.now(), conferences: snapshot() })}\n\n`);
+    // Comment frames keep proxies like ngrok from closing an idle stream
+    const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 25000);
+    req.on('close', () => {
+      clearInterval(keepAlive);
+      unsubscribe();
+    });
+  });
+
+  app.post('/dashboard/speak', ...middleware, sameSiteJson, async (req, res) => {
+    const { conference, text } = req.body || {};
+    if (!conference || !text) return res.status(400).json({ error: 'conference and text required' });
+    try {
+      res.json(await actions.speak(conference, text));
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  });
+
+  app.post('/dashboard/hangup', ...middleware, sameSiteJson, async (req, res) => {
+    const { callSid } = req.body || {};
+    if (!callSid) return res.status(400).json({ error: 'callSid required' });
+    try {
+      res.json(await actions.hangup(callSid));
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  });
+}
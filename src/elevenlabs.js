@@ -1,7 +1,12 @@
 import WebSocket from 'ws';
+import axios from 'axios';
+import { Backoff, ReconnectingTranscriber } from './reconnect.js';
+import { log } from './log.js';
+import { agentTimeouts } from './metrics.js';
 
-export function decodeMulawToPcm16(base64Payload) {
-  const mu = Buffer.from(base64Payload, 'base64');
+// Takes a Twilio media payload (base64) or the raw μ-law bytes
+export function decodeMulawToPcm16(payload) {
+  const mu = Buffer.isBuffer(payload) ? payload : Buffer.from(payload, 'base64');
   const pcm = Buffer.alloc(mu.length * 2);
   for (let i = 0; i < mu.length; i += 1) {
     const sample = muLawDecodeSample(mu[i]);
@@ -10,31 +15,146 @@ export function decodeMulawToPcm16(base64Payload) {
   return pcm;
 }
 
+// G.711 μ-law expansion, the inverse of muLawEncodeSample below
 function muLawDecodeSample(mu) {
   mu = ~mu & 0xff;
   const sign = mu & 0x80 ? -1 : 1;
   const exponent = (mu >> 4) & 0x07;
   const mantissa = mu & 0x0f;
-  const magnitude = ((mantissa << 4) + 0x08) << (exponent + 3);
-  const sample = sign * magnitude;
-  // Clamp to int16 range to avoid Buffer write overflow
-  return Math.max(-32768, Math.min(32767, sample));
+  const magnitude = (((mantissa << 3) + 0x84) << exponent) - 0x84;
+  return sign * magnitude;
 }
 
-export class ElevenLabsClient {
+export function encodePcm16ToMulaw(pcm) {
+  const mu = Buffer.alloc(Math.floor(pcm.length / 2));
+  for (let i = 0; i < mu.length; i += 1) {
+    mu[i] = muLawEncodeSample(pcm.readInt16LE(i * 2));
+  }
+  return mu;
+}
+
+function muLawEncodeSample(sample) {
+  const BIAS = 0x84;
+  const CLIP = 32635;
+  const sign = sample < 0 ? 0x80 : 0;
+  let magnitude = Math.min(Math.abs(sample), CLIP) + BIAS;
+  let exponent = 7;
+  for (let mask = 0x4000; (magnitude & mask) === 0 && exponent > 0; mask >>= 1) exponent -= 1;
+  const mantissa = (magnitude >> (exponent + 3)) & 0x0f;
+  return ~(sign | (exponent << 4) | mantissa) & 0xff;
+}
+
+// Linear-interpolation resampler for 16-bit little-endian mono PCM
+export function resamplePcm16(pcm, fromRate, toRate) {
+  if (fromRate === toRate) return pcm;
+  const inSamples = Math.floor(pcm.length / 2);
+  const outSamples = Math.floor((inSamples * toRate) / fromRate);
+  const out = Buffer.alloc(outSamples * 2);
+  const step = fromRate / toRate;
+  for (let i = 0; i < outSamples; i += 1) {
+    const pos = i * step;
+    const idx = Math.floor(pos);
+    const frac = pos - idx;
+    const a = pcm.readInt16LE(Math.min(idx, inSamples - 1) * 2);
+    const b = pcm.readInt16LE(Math.min(idx + 1, inSamples - 1) * 2);
+    out.writeInt16LE(Math.round(a + (b - a) * frac), i * 2);
+  }
+  return out;
+}
+
+// Changes the speed of 16-bit mono speech without changing its pitch (WSOLA): 30 ms windows are
+// read rate times as far apart as they are written, each shifted up to 10 ms to where it lines
+// up best with the audio already written. rate < 1 is slower.
+export function stretchPcm16(pcm, sampleRate, rate) {
+  const n = Math.floor(pcm.length / 2);
+  const win = Math.round(sampleRate * 0.03);
+  const hop = Math.floor(win / 2);
+  const tolerance = Math.round(sampleRate * 0.01);
+  if (rate === 1 || n < win + tolerance) return pcm;
+  const input = new Float32Array(n);
+  for (let i = 0; i < n; i += 1) input[i] = pcm.readInt16LE(i * 2);
+  const window = Float32Array.from({ length: win }, (_, i) => 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (win - 1)));
+  const outLength = Math.ceil(n / rate) + win;
+  const out = new Float32Array(outLength);
+  const weight = new Float32Array(outLength);
+  let natural = 0; // where the previous window would have continued in the input
+  for (let k = 0; ; k += 1) {
+    const nominal = Math.round(k * hop * rate);
+    if (nominal + win + tolerance >= n || k * hop + win >= outLength) break;
+    let from = nominal;
+    if (k > 0) {
+      let best = -Infinity;
+      for (let delta = -tolerance; delta <= tolerance; delta += 1) {
+        const start = nominal + delta;
+        if (start < 0) continue;
+        let score = 0;
+        for (let i = 0; i < hop; i += 1) score += input[natural + i] * input[start + i];
+        if (score > best) {
+          best = score;
+          from = start;
+        }
+      }
+    }
+    for (let i = 0; i < win; i += 1) {
+      out[k * hop + i] += input[from + i] * window[i];
+      weight[k * hop + i] += window[i];
+    }
+    natural = from + hop;
+  }
+  let end = outLength;
+  while (end > 0 && weight[end - 1] === 0) end -= 1;
+  const stretched = Buffer.alloc(end * 2);
+  for (let i = 0; i < end; i += 1) {
+    const sample = weight[i] > 1e-3 ? out[i] / weight[i] : 0;
+    stretched.writeInt16LE(Math.max(-32768, Math.min(32767, Math.round(sample))), i * 2);
+  }
+  return stretched;
+}
+
+// 44-byte RIFF header for mono 16-bit PCM
+export function wavHeader(dataBytes, sampleRate = 8000) {
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(36 + dataBytes, 4);
+  header.write('WAVE', 8, 'ascii');
+  header.write('fmt ', 12, 'ascii');
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20); // PCM
+  header.writeUInt16LE(1, 22); // mono
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * 2, 28);
+  header.writeUInt16LE(2, 32);
+  header.writeUInt16LE(16, 34);
+  header.write('data', 36, 'ascii');
+  header.writeUInt32LE(dataBytes, 40);
+  return header;
+}
+
+// Convert an ElevenLabs output format (pcm_16000, ulaw_8000, ...) to 8 kHz mu-law for Twilio
+export function toTwilioMulaw(buf, format = 'pcm_16000') {
+  if (format === 'ulaw_8000') return buf;
+  const rate = Number(format.split('_')[1]) || 16000;
+  return encodePcm16ToMulaw(resamplePcm16(buf, rate, 8000));
+}
+
+export class ElevenLabsClient extends ReconnectingTranscriber {
   constructor({
     url,
     apiKey,
     sampleRate = 8000,
     modelId = 'scribe_v2_realtime',
     audioFormat = 'ulaw_8000',
-    wakePhrases,
     startPayload,
     includeTimestamps = false,
     includeLanguageDetection = false,
     languageCode,
     commitStrategy,
+    reconnect = {},
+    bufferMs = 5000,
+    bufferMaxAgeMs = 10000,
   }) {
+    const bytesPerMs = (audioFormat.startsWith('ulaw') ? 1 : 2) * (sampleRate / 1000);
+    super({ name: 'elevenlabs stt', reconnect, bufferMs, bufferMaxAgeMs, bytesPerMs });
     this.url = url;
     this.apiKey = apiKey;
     this.sampleRate = sampleRate;
@@ -42,75 +162,42 @@ export class ElevenLabsClient {
     this.audioFormat = audioFormat;
     this.languageCode = languageCode;
     this.commitStrategy = commitStrategy;
-    this.wakePhrases = (wakePhrases || []).map(p => p.toLowerCase()).filter(Boolean);
     this.startPayload = startPayload; // unused now, but kept for override
     this.includeTimestamps = includeTimestamps;
     this.includeLanguageDetection = includeLanguageDetection;
-    this.ws = null;
-    this.ready = false;
-    this.connectedPromise = null;
-    this.transcriptHandler = null;
-    this.wakeHandler = null;
-    this.pending = [];
   }
 
-  onTranscript(cb) {
-    this.transcriptHandler = cb;
+  canConnect() {
+    return Boolean(this.url && this.apiKey);
   }
 
-  onWake(cb) {
-    this.wakeHandler = cb;
-  }
-
-  async connect() {
-    if (!this.url || !this.apiKey) return null;
-    if (this.connectedPromise) return this.connectedPromise;
-    const wsUrl = this.buildUrl();
-    this.connectedPromise = new Promise((resolve, reject) => {
-      this.ws = new WebSocket(wsUrl, { headers: { 'xi-api-key': this.apiKey } });
-      this.ws.on('open', () => {
-        this.ready = true;
-        this.flushPending();
-        resolve();
-      });
-      this.ws.on('message', data => this.handleMessage(data));
-      this.ws.on('close', () => {
-        this.ready = false;
-        this.connectedPromise = null;
-        this.pending = [];
-      });
-      this.ws.on('error', err => {
-        this.ready = false;
-        this.connectedPromise = null;
-        reject(err);
-      });
-    });
-    return this.connectedPromise;
+  openSocket() {
+    return new WebSocket(this.buildUrl(), { headers: { 'xi-api-key': this.apiKey } });
   }
 
   sendStart() {
     // not used; configuration is passed as query params per realtime spec
   }
 
-  sendAudio(buffer) {
-    if (this.ready && this.ws?.readyState === WebSocket.OPEN) {
-      const msg = JSON.stringify({
-        message_type: 'input_audio_chunk',
-        audio_base_64: buffer.toString('base64'),
-        commit: false,
-        sample_rate: this.sampleRate,
-      });
-      this.ws.send(msg);
-    } else {
-      this.pending.push(buffer);
-    }
+  sendLive(buffer) {
+    this.sendChunk(buffer);
   }
 
-  close() {
-    if (this.ws && this.ws.readyState === WebSocket.OPEN) this.ws.close();
-    this.ready = false;
-    this.connectedPromise = null;
-    this.pending = [];
+  // Manual commit strategy: close the current segment. Carried on 20 ms of μ-law silence, since
+  // the commit flag rides on an audio chunk. Lost if the socket is down; the next one catches up.
+  commit() {
+    if (!this.ready || this.ws?.readyState !== WebSocket.OPEN) return;
+    this.sendChunk(Buffer.alloc((this.sampleRate / 1000) * 20, 0xff), true);
+  }
+
+  sendChunk(buffer, commit = false) {
+    const msg = JSON.stringify({
+      message_type: 'input_audio_chunk',
+      audio_base_64: buffer.toString('base64'),
+      commit,
+      sample_rate: this.sampleRate,
+    });
+    this.ws.send(msg);
   }
 
   handleMessage(raw) {
@@ -118,37 +205,17 @@ export class ElevenLabsClient {
     try {
       parsed = JSON.parse(raw.toString());
     } catch {
-      console.warn('elevenlabs non-JSON message', raw.toString());
+      log.warn('elevenlabs non-JSON message', { raw: raw.toString().slice(0, 200) });
       parsed = {};
     }
-    console.log('elevenlabs message', parsed);
+    log.debug('elevenlabs message', { message: parsed });
     const type = parsed.message_type;
     const text = parsed.text || parsed.transcript || parsed.message || parsed.partial || '';
-    if (text && this.transcriptHandler) this.transcriptHandler(text);
     const isCommitted = type === 'committed_transcript' || type === 'committed_transcript_with_timestamps';
     const isPartial = type === 'partial_transcript';
-    if (text && this.wakePhrases.length && (isCommitted || isPartial)) {
-      const lower = text.toLowerCase();
-      const hit = this.wakePhrases.some(p => lower.includes(p));
-      if (hit) {
-        console.log('wake phrase hit', text, isCommitted ? '(committed)' : '(partial)');
-        this.wakeHandler?.(text, isCommitted);
-      }
-    }
-  }
-
-  flushPending() {
-    if (!this.ready || this.ws?.readyState !== WebSocket.OPEN) return;
-    while (this.pending.length) {
-      const buf = this.pending.shift();
-      const msg = JSON.stringify({
-        message_type: 'input_audio_chunk',
-        audio_base_64: buf.toString('base64'),
-        commit: false,
-        sample_rate: this.sampleRate,
-      });
-      this.ws.send(msg);
-    }
+    // With include_language_detection, committed transcripts say which language they were in
+    const info = parsed.language_code ? { languageCode: parsed.language_code } : {};
+    if (text && (isCommitted || isPartial)) this.transcriptHandler?.(text, isCommitted, info);
   }
 
   buildUrl() {
@@ -165,7 +232,7 @@ export class ElevenLabsClient {
 }
 
 export class ElevenLabsAgentClient {
-  constructor({ apiKey, agentId, baseUrl = 'wss://api.elevenlabs.io', dynamicVariables = {} }) {
+  constructor({ apiKey, agentId, baseUrl = 'wss://api.elevenlabs.io', dynamicVariables = {}, reconnect = {}, maxHistory = 20 }) {
     this.apiKey = apiKey;
     this.agentId = agentId;
     this.baseUrl = baseUrl;
@@ -174,17 +241,38 @@ export class ElevenLabsAgentClient {
     this.ready = false;
     this.connectedPromise = null;
     this.conversationId = null;
+    this.conversationIds = []; // one per socket; a reconnect starts a new ConvAI conversation
     this.responseHandler = null;
     this.audioHandler = null;
     this.subsequentHandler = null;
+    this.statusHandler = null;
+    this.toolHandler = null;
     this.pendingResolve = null;
+    this.replyTimer = null;
+    this.replyTimeoutMs = 15000;
     this.responseBuffer = '';
     this.firstResolved = false;
+    this.interrupted = false;
+    this.lastResponse = null;
+    this.backoff = new Backoff(reconnect === false ? { maxAttempts: 1 } : reconnect);
+    this.maxHistory = maxHistory;
+    this.history = []; // { role: 'user' | 'agent', text } replayed into a new conversation after a drop
+    this.inFlight = null; // user_message awaiting its answer, re-sent if the socket drops first
+    this.state = 'idle';
+    this.closed = false;
+    this.reconnects = 0;
+    this.lastError = null;
   }
 
+  get busy() { return !!this.pendingResolve; }
+
   onResponse(cb) { this.responseHandler = cb; }
   onAudio(cb) { this.audioHandler = cb; }
   onSubsequentResponse(cb) { this.subsequentHandler = cb; }
+  // cb(state, info): 'reconnecting' { attempt, delayMs }, 'reconnected' { conversationId, previousConversationId }, 'failed'
+  onStatus(cb) { this.statusHandler = cb; }
+  // cb({ name, id, parameters }) resolves { result, isError }; sent back as client_tool_result
+  onToolCall(cb) { this.toolHandler = cb; }
 
   sendInitData() {
     if (!this.ws || this.ws.readyState !== WebSocket.OPEN) return;
@@ -193,69 +281,200 @@ export class ElevenLabsAgentClient {
       type: 'conversation_initiation_client_data',
       dynamic_variables: this.dynamicVariables,
     };
-    console.log('agent sendInitData', msg);
+    log.debug('agent sendInitData', { message: msg });
     this.ws.send(JSON.stringify(msg));
   }
 
+  // Retries with backoff; rejects only once the attempts run out
   async connect() {
     if (this.connectedPromise) return this.connectedPromise;
+    this.closed = false;
+    this.connectedPromise = (async () => {
+      for (;;) {
+        if (this.closed) {
+          this.connectedPromise = null;
+          throw new Error('agent client closed');
+        }
+        try {
+          await this.openSocket();
+          this.backoff.reset();
+          return;
+        } catch (err) {
+          this.lastError = err.message;
+          if (this.backoff.exhausted) {
+            this.state = 'failed';
+            this.connectedPromise = null;
+            this.statusHandler?.('failed', { lastError: this.lastError });
+            throw err;
+          }
+          const delayMs = this.backoff.next();
+          this.state = 'reconnecting';
+          this.statusHandler?.('reconnecting', { attempt: this.backoff.attempts, delayMs });
+          await new Promise(resolve => setTimeout(resolve, delayMs));
+        }
+      }
+    })();
+    return this.connectedPromise;
+  }
+
+  openSocket() {
     const url = `${this.baseUrl}/v1/convai/conversation?agent_id=${encodeURIComponent(this.agentId)}`;
-    this.connectedPromise = new Promise((resolve, reject) => {
-      this.ws = new WebSocket(url, { headers: { 'xi-api-key': this.apiKey } });
-      this.ws.on('open', () => {
-        console.log('agent ws open');
+    return new Promise((resolve, reject) => {
+      const ws = new WebSocket(url, { headers: { 'xi-api-key': this.apiKey } });
+      this.ws = ws;
+      let opened = false;
+      ws.on('open', () => {
+        opened = true;
+        log.info('agent ws open');
         this.ready = true;
+        const resumed = this.conversationIds.length > 0;
+        this.state = 'open';
         this.sendInitData();
+        if (resumed) this.resume();
         resolve();
       });
-      this.ws.on('message', data => this.handleMessage(data));
-      this.ws.on('close', () => {
-        console.log('agent ws closed');
+      ws.on('message', data => this.handleMessage(data));
+      ws.on('close', code => {
+        if (this.ws !== ws) return;
+        log.info('agent ws closed', { code });
         this.ready = false;
+        // A socket that never opened is a failed attempt; connect() is already retrying it
+        if (!opened) return;
         this.connectedPromise = null;
+        if (this.closed) return;
+        this.state = 'disconnected';
+        // Idle drops reconnect on the next question; a question in flight can't wait for that
+        if (this.inFlight) {
+          this.reconnects += 1;
+          this.connect().catch(err => log.error('agent reconnect failed', { err: err.message }));
+        }
       });
-      this.ws.on('error', err => {
-        console.error('agent ws error', err);
-        this.ready = false;
-        this.connectedPromise = null;
+      ws.on('error', err => {
+        log.error('agent ws error', { err: err.message });
         reject(err);
       });
     });
-    return this.connectedPromise;
   }
 
-  async sendText(text) {
+  // A new socket is a new ConvAI conversation: brief it on what was said, then repeat any
+  // question the drop swallowed
+  resume() {
+    const previousConversationId = this.conversationIds[this.conversationIds.length - 1];
+    if (this.history.length) {
+      const lines = this.history.map(h => `${h.role === 'user' ? 'User' : 'You'}: ${h.text}`);
+      this.sendContextualUpdate(`The connection dropped and this conversation was restored. Earlier in this conversation:\n${lines.join('\n')}`);
+    }
+    this.statusHandler?.('reconnected', { previousConversationId, resent: !!this.inFlight });
+    if (this.inFlight) {
+      this.responseBuffer = '';
+      this.ws.send(JSON.stringify({ type: 'user_message', text: this.inFlight }));
+    }
+  }
+
+  remember(role, text) {
+    if (!text) return;
+    this.history.push({ role, text });
+    if (this.history.length > this.maxHistory) this.history.splice(0, this.history.length - this.maxHistory);
+  }
+
+  health() {
+    return {
+      state: this.state,
+      conversationId: this.conversationId,
+      conversations: this.conversationIds.length,
+      reconnects: this.reconnects,
+      busy: this.busy,
+      lastError: this.lastError,
+    };
+  }
+
+  sendContextualUpdate(text) {
+    if (!text || !this.ws || this.ws.readyState !== WebSocket.OPEN) return;
+    log.debug('agent sendContextualUpdate', { chars: text.length });
+    this.ws.send(JSON.stringify({ type: 'contextual_update', text }));
+  }
+
+  async sendText(text, timeoutMs = 15000) {
     if (!this.ready || this.ws?.readyState !== WebSocket.OPEN) {
       await this.connect();
     }
-    console.log('agent sendText', text);
+    log.info('agent sendText', { text });
     this.responseBuffer = '';
     this.firstResolved = false;
+    this.interrupted = false;
+    this.inFlight = text;
+    this.remember('user', text);
     const msg = JSON.stringify({ type: 'user_message', text });
     this.ws.send(msg);
     return new Promise(resolve => {
       this.pendingResolve = resolve;
-      setTimeout(() => {
-        if (this.pendingResolve) {
-          this.pendingResolve(this.responseBuffer || null);
-          this.pendingResolve = null;
-          this.firstResolved = true;
-        }
-      }, 15000);
+      this.armReplyTimeout(resolve, timeoutMs);
     });
   }
 
+  // Restarted around client tool calls: the agent can't answer until the tool has
+  armReplyTimeout(resolve, timeoutMs) {
+    clearTimeout(this.replyTimer);
+    this.replyTimeoutMs = timeoutMs;
+    this.replyTimer = setTimeout(() => {
+      if (this.pendingResolve !== resolve) return;
+      agentTimeouts.inc({ provider: 'elevenlabs' });
+      log.warn('agent reply timed out', { timeoutMs, partial: !!this.responseBuffer, conversationId: this.conversationId });
+      this.settle(this.responseBuffer || null);
+    }, timeoutMs);
+  }
+
+  async handleToolCall({ tool_name: name, tool_call_id: id, parameters }) {
+    if (!id) return;
+    const extend = () => {
+      if (this.pendingResolve) this.armReplyTimeout(this.pendingResolve, this.replyTimeoutMs);
+    };
+    extend();
+    const { result, isError } = this.toolHandler
+      ? await Promise.resolve()
+        .then(() => this.toolHandler({ name, id, parameters: parameters || {} }))
+        .catch(err => ({ result: err.message, isError: true }))
+      : { result: `client tool ${name} is not handled by this server`, isError: true };
+    extend();
+    if (this.ws?.readyState !== WebSocket.OPEN) {
+      log.warn('agent tool result dropped: socket closed', { tool: name });
+      return;
+    }
+    this.ws.send(JSON.stringify({ type: 'client_tool_result', tool_call_id: id, result, is_error: isError }));
+  }
+
+  settle(response) {
+    clearTimeout(this.replyTimer);
+    this.pendingResolve(response);
+    this.pendingResolve = null;
+    this.firstResolved = true;
+    this.inFlight = null;
+  }
+
+  // Barge-in: tell the agent a human cut it off and drop whatever it is still generating
+  interrupt() {
+    this.interrupted = true;
+    this.responseBuffer = '';
+    if (this.pendingResolve) this.settle(null);
+    if (this.ws?.readyState === WebSocket.OPEN) {
+      this.ws.send(JSON.stringify({ type: 'user_activity' }));
+    }
+  }
+
   handleMessage(raw) {
     let parsed;
     try {
       parsed = JSON.parse(raw.toString());
     } catch {
-      console.warn('agent non-JSON', raw.toString());
+      log.warn('agent non-JSON message', { raw: raw.toString().slice(0, 200) });
       return;
     }
-    console.log('agent message', parsed);
+    log.debug('agent message', { message: parsed });
+    const isResponse = ['agent_chat_response_part', 'agent_response', 'audio'].includes(parsed.type);
+    if (this.interrupted && isResponse) return;
     if (parsed.type === 'conversation_initiation_metadata') {
       this.conversationId = parsed.conversation_initiation_metadata_event?.conversation_id;
+      if (this.conversationId) this.conversationIds.push(this.conversationId);
     } else if (parsed.type === 'agent_chat_response_part') {
       const part = parsed.text_response_part;
       if (part?.type === 'start') {
@@ -264,10 +483,10 @@ export class ElevenLabsAgentClient {
         this.responseBuffer += part.text;
       } else if (part?.type === 'stop' && this.responseBuffer) {
         const response = this.responseBuffer;
+        this.lastResponse = response;
+        this.remember('agent', response);
         if (this.pendingResolve) {
-          this.pendingResolve(response);
-          this.pendingResolve = null;
-          this.firstResolved = true;
+          this.settle(response);
         } else if (this.firstResolved && this.subsequentHandler) {
           this.subsequentHandler(response);
         }
@@ -276,16 +495,22 @@ export class ElevenLabsAgentClient {
     } else if (parsed.type === 'agent_response') {
       const text = parsed.agent_response_event?.agent_response || '';
       this.responseHandler?.(text);
+      // The same turn may already have arrived as streamed response parts
+      const duplicate = text === this.lastResponse;
+      this.lastResponse = text;
+      if (!duplicate) this.remember('agent', text);
       if (text && this.pendingResolve) {
-        this.pendingResolve(text);
-        this.pendingResolve = null;
-        this.firstResolved = true;
-      } else if (text && this.firstResolved && this.subsequentHandler) {
+        this.settle(text);
+      } else if (text && !duplicate && this.firstResolved && this.subsequentHandler) {
         this.subsequentHandler(text);
       }
     } else if (parsed.type === 'audio') {
       const b64 = parsed.audio_event?.audio_base_64;
       if (b64) this.audioHandler?.(Buffer.from(b64, 'base64'));
+    } else if (parsed.type === 'client_tool_call') {
+      this.handleToolCall(parsed.client_tool_call || {});
+    } else if (parsed.type === 'interruption') {
+      this.responseBuffer = '';
     } else if (parsed.type === 'ping') {
       const pong = JSON.stringify({ type: 'pong', event_id: parsed.ping_event?.event_id });
       this.ws?.send(pong);
@@ -293,8 +518,59 @@ export class ElevenLabsAgentClient {
   }
 
   close() {
+    this.closed = true;
+    this.state = 'closed';
     if (this.ws && this.ws.readyState === WebSocket.OPEN) this.ws.close();
     this.ready = false;
     this.connectedPromise = null;
   }
 }
+
+// Text-to-speech over the ElevenLabs streaming endpoint. 'file' output is MP3 (or WAV for pcm_*
+// formats) for announce URLs; 'mulaw' is raw 8 kHz μ-law for writing straight into a Twilio media stream.
+export class ElevenLabsSynthesizer {
+  constructor({
+    apiKey,
+    baseUrl = 'https://api.elevenlabs.io',
+    voiceId,
+    modelId = 'eleven_flash_v2_5',
+    multilingualModelId = 'eleven_flash_v2_5',
+    outputFormat = 'mp3_44100_128',
+    languageCode,
+  }) {
+    this.apiKey = apiKey;
+    this.baseUrl = baseUrl;
+    this.voiceId = voiceId;
+    this.modelId = modelId;
+    this.multilingualModelId = multilingualModelId;
+    this.outputFormat = outputFormat;
+    this.languageCode = languageCode;
+  }
+
+  // language: speak in this language instead of the configured one, with the multilingual model
+  async synthesize(text, { format = 'file', language } = {}) {
+    const outputFormat = format === 'mulaw' ? 'ulaw_8000' : this.outputFormat;
+    const body = { text, model_id: language ? this.multilingualModelId : this.modelId };
+    if (language || this.languageCode) body.language_code = language || this.languageCode;
+    try {
+      const resp = await axios.post(`${this.baseUrl}/v1/text-to-speech/${this.voiceId}/stream`, body, {
+        responseType: 'arraybuffer',
+        params: { output_format: outputFormat },
+        headers: { 'xi-api-key': this.apiKey, 'Content-Type': 'application/json' },
+      });
+      const audio = Buffer.from(resp.data);
+      if (format === 'mulaw') return { audio, contentType: 'audio/basic', durationMs: audio.length / 8 };
+      // Raw PCM formats go out as WAV, which Twilio can play and the recorder can decode
+      if (outputFormat.startsWith('pcm_')) {
+        const rate = Number(outputFormat.split('_')[1]) || 16000;
+        return { audio: Buffer.concat([wavHeader(audio.length, rate), audio]), contentType: 'audio/wav', durationMs: Math.round(audio.length / 2 / (rate / 1000)) };
+      }
+      // mp3_44100_128 -> 128 kbps -> 16 bytes per millisecond
+      const kbps = Number(outputFormat.split('_')[2]) || 128;
+      return { audio, contentType: 'audio/mpeg', durationMs: Math.ceil(audio.length / (kbps / 8)) };
+    } catch (err) {
+      log.error('elevenlabs tts error', { status: err.response?.status, err: err.response?.data?.toString?.() || err.message });
+      throw err;
+    }
+  }
+}
@@ -0,0 +1,60 @@
+import axios from 'axios';
+import { encodePcm16ToMulaw, resamplePcm16 } from './elevenlabs.js';
+import { log } from './log.js';
+
+// Synthesizer for a self-hosted TTS server (Piper, Coqui and friends behind a small HTTP wrapper):
+// POST { text, voice, language } to the URL and get a 16-bit PCM WAV back.
+export class HttpSynthesizer {
+  constructor({ url, voice, language, headers = {} }) {
+    this.url = url;
+    this.voice = voice;
+    this.language = language;
+    this.headers = headers;
+  }
+
+  async synthesize(text, { format = 'file', language } = {}) {
+    let resp;
+    try {
+      resp = await axios.post(
+        this.url,
+        { text, voice: this.voice, language: language || this.language },
+        { responseType: 'arraybuffer', headers: { 'Content-Type': 'application/json', ...this.headers } },
+      );
+    } catch (err) {
+      log.error('http tts error', { status: err.response?.status, err: err.message });
+      throw err;
+    }
+    const wav = Buffer.from(resp.data);
+    const { sampleRate, pcm } = parseWav(wav);
+    const durationMs = Math.round((pcm.length / 2 / sampleRate) * 1000);
+    if (format === 'mulaw') {
+      const audio = encodePcm16ToMulaw(resamplePcm16(pcm, sampleRate, 8000));
+      return { audio, contentType: 'audio/basic', durationMs };
+    }
+    return { audio: wav, contentType: 'audio/wav', durationMs };
+  }
+}
+
+// Returns the sample rate and the (mono, 16-bit) data chunk of a RIFF/WAVE buffer
+export function parseWav(buf) {
+  if (buf.toString('ascii', 0, 4) !== 'RIFF' || buf.toString('ascii', 8, 12) !== 'WAVE') {
+    throw new Error('TTS response is not a WAV file');
+  }
+  let sampleRate = null;
+  for (let offset = 12; offset + 8 <= buf.length;) {
+    const id = buf.toString('ascii', offset, offset + 4);
+    const size = buf.readUInt32LE(offset + 4);
+    const body = offset + 8;
+    if (id === 'fmt ') {
+      const channels = buf.readUInt16LE(body + 2);
+      const bits = buf.readUInt16LE(body + 14);
+      if (channels !== 1 || bits !== 16) throw new Error(`unsupported WAV: ${channels} channels, ${bits} bits`);
+      sampleRate = buf.readUInt32LE(body + 4);
+    } else if (id === 'data') {
+      if (!sampleRate) throw new Error('WAV data before fmt chunk');
+      return { sampleRate, pcm: buf.subarray(body, Math.min(body + size, buf.length)) };
+    }
+    offset = body + size + (size % 2);
+  }
+  throw new Error('WAV has no data chunk');
+}
@@ -0,0 +1,185 @@
+import { log } from './log.js';
+
+// Incident bridges: an alert comes in as a webhook, a conference is opened for it and the on-call
+// rotation is dialed into it one person at a time until someone accepts.
+
+const FINAL_STATUSES = new Set(['completed', 'busy', 'no-answer', 'failed', 'canceled']);
+
+// Normalizes an Alertmanager webhook, a PagerDuty V3 webhook or a PagerDuty Events API V2 event into
+// { key, source, status: 'firing' | 'resolved', title, severity, service, summary, url, labels }.
+// key identifies the incident across repeats, so a re-sent alert finds the bridge already open.
+export function parseAlert(body) {
+  if (!body || typeof body !== 'object') return null;
+  if (Array.isArray(body.alerts)) {
+    const first = body.alerts[0] || {};
+    const labels = { ...body.commonLabels, ...first.labels };
+    const annotations = { ...body.commonAnnotations, ...first.annotations };
+    return {
+      key: body.groupKey || first.fingerprint || labels.alertname || null,
+      source: 'alertmanager',
+      status: body.status === 'resolved' ? 'resolved' : 'firing',
+      title: annotations.summary || labels.alertname || 'Alert',
+      severity: labels.severity || null,
+      service: labels.service || labels.job || null,
+      summary: annotations.description || annotations.summary || null,
+      url: first.generatorURL || body.externalURL || null,
+      labels,
+    };
+  }
+  if (body.event?.data) {
+    const { event_type: type, data } = body.event;
+    return {
+      key: data.id || null,
+      source: 'pagerduty',
+      status: type === 'incident.resolved' ? 'resolved' : 'firing',
+      title: data.title || 'Incident',
+      severity: data.urgency || data.priority?.summary || null,
+      service: data.service?.summary || null,
+      summary: data.body?.details || null,
+      url: data.html_url || null,
+      labels: {},
+    };
+  }
+  if (body.payload?.summary) {
+    return {
+      key: body.dedup_key || null,
+      source: 'pagerduty',
+      status: body.event_action === 'resolve' ? 'resolved' : 'firing',
+      title: body.payload.summary,
+      severity: body.payload.severity || null,
+      service: body.payload.component || body.payload.source || null,
+      summary: typeof body.payload.custom_details === 'string' ? body.payload.custom_details : null,
+      url: body.links?.[0]?.href || null,
+      labels: {},
+    };
+  }
+  return null;
+}
+
+// Dynamic variables for the agent, so it can brief people as they join
+export function alertVariables(alert) {
+  return {
+    incident_title: alert.title,
+    incident_severity: alert.severity || '',
+    incident_service: alert.service || '',
+    incident_summary: alert.summary || '',
+    incident_url: alert.url || '',
+    incident_source: alert.source,
+  };
+}
+
+// Spoken when there is no agent to brief with, and read to the person being paged
+export function describeAlert(alert) {
+  const severity = alert.severity ? `${alert.severity} ` : '';
+  const service = alert.service ? ` on ${alert.service}` : '';
+  const summary = alert.summary && alert.summary !== alert.title ? ` ${alert.summary}` : '';
+  return `${severity}incident${service}: ${alert.title}.${summary}`.replace(/^./, c => c.toUpperCase());
+}
+
+// Pages a rotation in order. Each person is tried `attempts` times, retryDelayMs apart, before the
+// next one is dialed. A call only counts once the person accepts it (accepted()); voicemail, busy
+// and no-answer all end with a final call status (ended()) and move the escalation on.
+export class OnCallEscalation {
+  // dial(number, attempt): places the call and resolves with its call SID
+  constructor({ name, rotation, attempts = 2, retryDelayMs = 30000, dial, onChange = () => {} }) {
+    this.name = name;
+    this.rotation = rotation;
+    this.attempts = Math.max(1, attempts);
+    this.retryDelayMs = retryDelayMs;
+    this.dial = dial;
+    this.onChange = onChange;
+    this.state = 'idle'; // idle | dialing | waiting | answered | exhausted | cancelled
+    this.index = 0;
+    this.attempt = 0;
+    this.current = null; // { number, attempt, callSid }
+    this.answeredBy = null;
+    this.tried = []; // { number, attempt, callSid, status }
+    this.timer = null;
+  }
+
+  start() {
+    this.next();
+    return this;
+  }
+
+  // Whether a call SID belongs to the attempt in flight
+  owns(callSid) {
+    return !!callSid && this.current?.callSid === callSid;
+  }
+
+  accepted(callSid) {
+    if (!this.owns(callSid) || this.state !== 'dialing') return false;
+    this.finishAttempt('accepted');
+    this.state = 'answered';
+    this.answeredBy = this.current.number;
+    log.info('on-call accepted', { conference: this.name, number: this.current.number, attempt: this.current.attempt });
+    this.onChange(this);
+    return true;
+  }
+
+  ended(callSid, status) {
+    if (!this.owns(callSid) || this.state !== 'dialing' || !FINAL_STATUSES.has(status)) return;
+    this.finishAttempt(status === 'completed' ? 'not accepted' : status);
+    log.info('on-call attempt failed', { conference: this.name, number: this.current.number, attempt: this.current.attempt, status });
+    this.next();
+  }
+
+  cancel() {
+    clearTimeout(this.timer);
+    if (this.state === 'dialing' || this.state === 'waiting') {
+      this.state = 'cancelled';
+      this.onChange(this);
+    }
+  }
+
+  next() {
+    if (this.state === 'cancelled' || this.state === 'answered') return;
+    if (this.attempt >= this.attempts) {
+      this.index += 1;
+      this.attempt = 0;
+    }
+    if (this.index >= this.rotation.length) {
+      this.state = 'exhausted';
+      log.warn('on-call rotation exhausted', { conference: this.name, tried: this.tried.length });
+      this.onChange(this);
+      return;
+    }
+    const retrying = this.attempt > 0;
+    this.attempt += 1;
+    const number = this.rotation[this.index];
+    const attempt = this.attempt;
+    const place = async () => {
+      if (this.state === 'cancelled') return;
+      this.state = 'dialing';
+      this.current = { number, attempt, callSid: null };
+      this.onChange(this);
+      try {
+        this.current.callSid = await this.dial(number, attempt);
+      } catch (err) {
+        log.warn('on-call dial failed', { conference: this.name, number, attempt, err: err.message });
+        this.finishAttempt('failed');
+        this.next();
+      }
+    };
+    if (retrying && this.retryDelayMs > 0) {
+      this.state = 'waiting';
+      this.onChange(this);
+      this.timer = setTimeout(place, this.retryDelayMs);
+    } else {
+      place();
+    }
+  }
+
+  finishAttempt(status) {
+    this.tried.push({ ...this.current, status });
+  }
+
+  snapshot() {
+    return {
+      state: this.state,
+      current: this.state === 'dialing' || this.state === 'waiting' ? this.current : null,
+      answeredBy: this.answeredBy,
+      tried: this.tried,
+    };
+  }
+}
@@ -0,0 +1,28 @@
+// Language codes as they come back from Scribe's detection (ISO 639-3, sometimes 639-1 or a locale)
+// turned into the ISO 639-1 codes TTS language_code takes.
+const ISO_639_3 = {
+  ara: 'ar', ben: 'bn', bul: 'bg', cat: 'ca', ces: 'cs', cmn: 'zh', dan: 'da', deu: 'de', ell: 'el',
+  eng: 'en', fas: 'fa', fin: 'fi', fra: 'fr', heb: 'he', hin: 'hi', hrv: 'hr', hun: 'hu', ind: 'id',
+  ita: 'it', jpn: 'ja', kor: 'ko', msa: 'ms', nld: 'nl', nob: 'no', nor: 'no', pol: 'pl', por: 'pt',
+  ron: 'ro', rus: 'ru', slk: 'sk', spa: 'es', swe: 'sv', tam: 'ta', tha: 'th', tur: 'tr', ukr: 'uk',
+  urd: 'ur', vie: 'vi', zho: 'zh', zsm: 'ms',
+};
+
+const names = new Intl.DisplayNames(['en'], { type: 'language' });
+
+// 'fra', 'fr' or 'fr-FR' -> 'fr'; null for nothing usable
+export function normalizeLanguage(code) {
+  if (!code || typeof code !== 'string') return null;
+  const base = code.trim().toLowerCase().split(/[-_]/)[0];
+  if (!/^[a-z]{2,3}$/.test(base)) return null;
+  return ISO_639_3[base] || base;
+}
+
+// 'fr' -> 'French', for the agent and the dashboard
+export function languageName(code) {
+  try {
+    return names.of(code) || code;
+  } catch {
+    return code;
+  }
+}
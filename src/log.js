@@ -0,0 +1,70 @@
+// Leveled logs, one JSON object per line: { time, level, msg, ...fields }. Child loggers carry
+// correlation fields such as callSid and conference into every line they write, so one call can
+// be followed through the logs with a single filter.
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const settings = { level: LEVELS.info, format: 'json' };
+
+// level: debug | info | warn | error; format: json, or text for reading in a terminal
+export function configureLogging({ level = 'info', format = 'json' } = {}) {
+  settings.level = LEVELS[level] ?? LEVELS.info;
+  settings.format = format === 'text' ? 'text' : 'json';
+}
+
+export class Logger {
+  constructor(fields = {}) {
+    this.fields = fields;
+  }
+
+  child(fields) {
+    return new Logger({ ...this.fields, ...fields });
+  }
+
+  debug(msg, fields) {
+    write('debug', msg, this.fields, fields);
+  }
+
+  info(msg, fields) {
+    write('info', msg, this.fields, fields);
+  }
+
+  warn(msg, fields) {
+    write('warn', msg, this.fields, fields);
+  }
+
+  error(msg, fields) {
+    write('error', msg, this.fields, fields);
+  }
+}
+
+export const log = new Logger();
+
+function write(level, msg, base, fields) {
+  if (LEVELS[level] < settings.level) return;
+  // An Error on its own is the common case for catch handlers
+  const extra = fields instanceof Error ? { err: fields } : fields;
+  const entry = { time: new Date().toISOString(), level, msg, ...base, ...extra };
+  const line = settings.format === 'text' ? formatText(entry) : stringify(entry);
+  (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+}
+
+function stringify(entry) {
+  const seen = new WeakSet();
+  return JSON.stringify(entry, (_key, value) => {
+    if (value instanceof Error) {
+      return { message: value.message, ...(value.status ? { status: value.status } : {}), ...(value.code ? { code: value.code } : {}), stack: value.stack };
+    }
+    if (Buffer.isBuffer(value)) return `<${value.length} bytes>`;
+    if (typeof value === 'bigint') return value.toString();
+    if (value && typeof value === 'object') {
+      if (seen.has(value)) return '[circular]';
+      seen.add(value);
+    }
+    return value;
+  });
+}
+
+function formatText({ time, level, msg, ...fields }) {
+  const rest = Object.keys(fields).length ? ` ${stringify(fields)}` : '';
+  return `${time.slice(11, 23)} ${level.toUpperCase().padEnd(5)} ${msg}${rest}`;
+}
@@ -0,0 +1,106 @@
+import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { z } from 'zod';
+import { formatLines } from './transcript.js';
+import { log } from './log.js';
+
+const conference = z.string().describe('Conference SID (CF...) or friendly name');
+const participant = z.string().describe('Participant call SID (CA...) or phone number');
+
+// controls: conference operations implemented in server.js on top of the Twilio client
+export function createMcpServer(controls) {
+  const server = new McpServer({ name: 'twilio-agent', version: '0.1.0' });
+
+  const tool = (name, description, inputSchema, handler) => {
+    server.registerTool(name, { description, inputSchema }, async args => {
+      log.info('mcp tool call', { name, args });
+      try {
+        const result = await handler(args);
+        const text = typeof result === 'string' ? result : JSON.stringify(result, null, 2);
+        return { content: [{ type: 'text', text }] };
+      } catch (err) {
+        log.warn('mcp tool error', { name, err: err.message });
+        return { isError: true, content: [{ type: 'text', text: err.message }] };
+      }
+    });
+  };
+
+  tool(
+    'add_participant',
+    'Dial someone into the conference, by number or by name from the contact directory.',
+    { conference, to: z.string().describe('Phone number in E.164 format, or a contact name, alias, or team and role') },
+    async ({ conference: ref, to }) => {
+      const conf = await controls.resolveConference(ref);
+      return controls.addParticipant({ to, conferenceSid: conf.sid, conferenceName: conf.name });
+    },
+  );
+  tool(
+    'remove_participant',
+    'Hang up one participant and remove them from the conference. Asks the room for spoken confirmation first.',
+    { conference, participant },
+    ({ conference: ref, participant: who }) => controls.removeParticipant(ref, who),
+  );
+  tool(
+    'mute_participant',
+    'Mute or unmute one participant.',
+    { conference, participant, muted: z.boolean().default(true) },
+    ({ conference: ref, participant: who, muted }) => controls.setParticipantMuted(ref, who, muted),
+  );
+  tool(
+    'hold_participant',
+    'Put one participant on hold with hold music, or take them off hold.',
+    { conference, participant, hold: z.boolean().default(true) },
+    ({ conference: ref, participant: who, hold }) => controls.setParticipantHold(ref, who, hold),
+  );
+  tool(
+    'end_conference',
+    'End the conference for everyone. Asks the room for spoken confirmation first.',
+    { conference },
+    ({ conference: ref }) => controls.endConference(ref),
+  );
+  tool(
+    'list_participants',
+    'List who is on the conference, with call SIDs, numbers and mute/hold state.',
+    { conference },
+    ({ conference: ref }) => controls.listParticipants(ref),
+  );
+  tool(
+    'get_recent_transcript',
+    'Return the most recent speaker-labeled transcript lines of the conference.',
+    { conference, maxLines: z.number().int().positive().max(500).default(30) },
+    ({ conference: ref, maxLines }) => {
+      const { lines } = controls.getRecentTranscript(ref, maxLines);
+      return lines.length ? formatLines(lines) : '(no transcript yet)';
+    },
+  );
+  tool(
+    'speak_to_conference',
+    'Speak text aloud to everyone on the conference in the agent voice.',
+    { conference, text: z.string().min(1) },
+    ({ conference: ref, text }) => controls.speakToConference(ref, text),
+  );
+
+  return server;
+}
+
+// Stateless streamable HTTP: a fresh server and transport per POST
+export function mountMcp(app, { path = '/mcp', middleware = [], controls }) {
+  app.post(path, ...middleware, async (req, res) => {
+    const server = createMcpServer(controls);
+    const transport = new StreamableHTTPServerTransport({ sessionIdGenerator: undefined });
+    res.on('close', () => {
+      transport.close();
+      server.close();
+    });
+    try {
+      await server.connect(transport);
+      await transport.handleRequest(req, res, req.body);
+    } catch (err) {
+      log.error('mcp request error', { err });
+      if (!res.headersSent) res.status(500).json({ jsonrpc: '2.0', error: { code: -32603, message: 'Internal server error' }, id: null });
+    }
+  });
+  const notAllowed = (_req, res) => res.status(405).json({ jsonrpc: '2.0', error: { code: -32000, message: 'Method not allowed.' }, id: null });
+  app.get(path, ...middleware, notAllowed);
+  app.delete(path, ...middleware, notAllowed);
+}
@@ -0,0 +1,162 @@
+// Prometheus metrics for the voice loop, served as text from /metrics. Small enough to keep in
+// process without a client library: counters and histograms with labels, nothing else.
+
+const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2, 3, 5, 8, 13, 20, 30];
+
+class Metric {
+  constructor({ name, help, type }) {
+    this.name = name;
+    this.help = help;
+    this.type = type;
+    this.series = new Map(); // label key -> { labels, ... }
+  }
+
+  seriesFor(labels) {
+    const key = labelKey(labels);
+    let series = this.series.get(key);
+    if (!series) {
+      series = this.create(labels);
+      this.series.set(key, series);
+    }
+    return series;
+  }
+}
+
+export class Counter extends Metric {
+  constructor(opts) {
+    super({ ...opts, type: 'counter' });
+  }
+
+  create(labels) {
+    return { labels, value: 0 };
+  }
+
+  inc(labels = {}, by = 1) {
+    this.seriesFor(labels).value += by;
+  }
+
+  get(labels = {}) {
+    return this.series.get(labelKey(labels))?.value || 0;
+  }
+
+  lines() {
+    return [...this.series.values()].map(s => `${this.name}${formatLabels(s.labels)} ${s.value}`);
+  }
+}
+
+export class Histogram extends Metric {
+  constructor({ buckets = LATENCY_BUCKETS, ...opts }) {
+    super({ ...opts, type: 'histogram' });
+    this.buckets = buckets;
+  }
+
+  create(labels) {
+    return { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+  }
+
+  observe(labels, value) {
+    const series = this.seriesFor(labels);
+    this.buckets.forEach((le, i) => {
+      if (value <= le) series.counts[i] += 1;
+    });
+    series.sum += value;
+    series.count += 1;
+  }
+
+  // Returns a function that records the seconds since the timer started
+  startTimer(labels = {}) {
+    const started = process.hrtime.bigint();
+    return () => {
+      const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+      this.observe(labels, seconds);
+      return seconds;
+    };
+  }
+
+  lines() {
+    return [...this.series.values()].flatMap(s => [
+      ...this.buckets.map((le, i) => `${this.name}_bucket${formatLabels({ ...s.labels, le })} ${s.counts[i]}`),
+      `${this.name}_bucket${formatLabels({ ...s.labels, le: '+Inf' })} ${s.count}`,
+      `${this.name}_sum${formatLabels(s.labels)} ${round(s.sum)}`,
+      `${this.name}_count${formatLabels(s.labels)} ${s.count}`,
+    ]);
+  }
+}
+
+export class Registry {
+  constructor() {
+    this.metrics = [];
+  }
+
+  register(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  counter(opts) {
+    return this.register(new Counter(opts));
+  }
+
+  histogram(opts) {
+    return this.register(new Histogram(opts));
+  }
+
+  // Prometheus text exposition format
+  render() {
+    return `${this.metrics.flatMap(m => [`# HELP ${m.name} ${m.help}`, `# TYPE ${m.name} ${m.type}`, ...m.lines()]).join('\n')}\n`;
+  }
+}
+
+export const registry = new Registry();
+
+// Where a wake's seconds go, from the committed transcript to the room hearing the answer:
+//   stt_commit        first partial of an utterance until Scribe commits it
+//   agent             query sent until the agent's reply (including the queue behind other legs)
+//   tts               synthesis of the reply
+//   agent_leg         dialing the stream-mode agent leg until it can play
+//   conference_lookup finding the conference SID for an announce
+//   announce          the Twilio announce request
+//   wake_to_speech    wake dispatched until playback starts
+export const stageSeconds = registry.histogram({
+  name: 'twilio_agent_stage_seconds',
+  help: 'Latency of each stage between a wake phrase and the spoken answer',
+});
+
+export const wakeHits = registry.counter({
+  name: 'twilio_agent_wake_hits_total',
+  help: 'Turns sent to the agent, by wake phrase or follow-up',
+});
+
+export const wakesThrottled = registry.counter({
+  name: 'twilio_agent_wakes_throttled_total',
+  help: 'Committed wake phrases dropped: sent already from a partial, or the same leg asking again while the agent answers',
+});
+
+export const agentTimeouts = registry.counter({
+  name: 'twilio_agent_agent_timeouts_total',
+  help: 'Agent queries that hit the sendText timeout without a complete reply',
+});
+
+export const announceFallbacks = registry.counter({
+  name: 'twilio_agent_announce_fallbacks_total',
+  help: 'Playback that fell back to a slower path: stream to announce, conference to participant announce, announce to TwiML',
+});
+
+export const toolCalls = registry.counter({
+  name: 'twilio_agent_tool_calls_total',
+  help: 'Tool calls from the agent, webhooks and MCP, by tool and outcome (ok, error, timeout)',
+});
+
+function labelKey(labels) {
+  return JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (!entries.length) return '';
+  return `{${entries.map(([k, v]) => `${k}="${String(v).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`).join(',')}}`;
+}
+
+function round(n) {
+  return Math.round(n * 1e6) / 1e6;
+}
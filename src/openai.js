@@ -0,0 +1,90 @@
+import axios from 'axios';
+import { log } from './log.js';
+import { agentTimeouts } from './metrics.js';
+
+// Agent brain backed by any OpenAI-compatible /chat/completions endpoint (OpenAI, vLLM, Ollama, ...).
+// Same surface as ElevenLabsAgentClient; replies are text only, so playback always goes through TTS.
+export class OpenAIAgentClient {
+  constructor({
+    baseUrl = 'https://api.openai.com/v1',
+    apiKey,
+    model = 'gpt-4o-mini',
+    systemPrompt = 'You are a helpful voice assistant on a conference call. Answer in one or two short spoken sentences.',
+    temperature,
+    maxHistory = 40,
+    dynamicVariables = {},
+  }) {
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+    this.apiKey = apiKey;
+    this.model = model;
+    this.temperature = temperature;
+    this.maxHistory = maxHistory;
+    // {{name}} placeholders are filled from dynamic variables, as ElevenLabs does for agent prompts
+    this.systemPrompt = systemPrompt.replace(/\{\{\s*(\w+)\s*\}\}/g, (m, name) => dynamicVariables[name] ?? m);
+    this.history = []; // { role, content } after the system prompt
+    this.context = null; // latest contextual update, sent as a second system message
+    this.controller = null;
+  }
+
+  get busy() { return !!this.controller; }
+
+  // Text-only: there is no audio and nothing arrives after the reply
+  onAudio() {}
+  onSubsequentResponse() {}
+
+  async connect() {}
+
+  sendContextualUpdate(text) {
+    if (text) this.context = text;
+  }
+
+  async sendText(text, timeoutMs = 15000) {
+    this.history.push({ role: 'user', content: text });
+    const messages = [{ role: 'system', content: this.systemPrompt }];
+    if (this.context) messages.push({ role: 'system', content: this.context });
+    messages.push(...this.history.slice(-this.maxHistory));
+    const controller = new AbortController();
+    this.controller = controller;
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeoutMs);
+    try {
+      const resp = await axios.post(
+        `${this.baseUrl}/chat/completions`,
+        { model: this.model, messages, temperature: this.temperature },
+        {
+          signal: controller.signal,
+          headers: this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {},
+        },
+      );
+      const reply = resp.data?.choices?.[0]?.message?.content?.trim() || null;
+      if (reply) this.history.push({ role: 'assistant', content: reply });
+      return reply;
+    } catch (err) {
+      if (controller.signal.aborted) {
+        if (timedOut) {
+          agentTimeouts.inc({ provider: 'openai' });
+          log.warn('agent reply timed out', { timeoutMs, model: this.model });
+        }
+        return null;
+      }
+      log.error('openai agent error', { status: err.response?.status, err: err.response?.data || err.message });
+      throw err;
+    } finally {
+      clearTimeout(timer);
+      if (this.controller === controller) this.controller = null;
+    }
+  }
+
+  // Barge-in: abandon the in-flight completion
+  interrupt() {
+    this.controller?.abort();
+    this.controller = null;
+  }
+
+  close() {
+    this.interrupt();
+  }
+}
@@ -0,0 +1,110 @@
+// Per-conference speech queue. Utterances play one at a time in the order they were queued,
+// urgent ones (errors, warnings) ahead of anything still waiting. Nothing already playing is cut
+// off except by a barge-in. The last utterance is kept so "repeat that" can play it again
+// without another trip to TTS.
+const PRIORITIES = { urgent: 0, normal: 1 };
+
+export class PlaybackQueue {
+  // play(item): delivers one utterance; resolves once it is on its way to the room
+  // waitUntilHeard(): resolves when the room has stopped hearing the agent
+  constructor({ name, play, waitUntilHeard = async () => {}, onChange = () => {} }) {
+    this.name = name;
+    this.play = play;
+    this.waitUntilHeard = waitUntilHeard;
+    this.onChange = onChange;
+    this.items = []; // waiting, in play order
+    this.current = null;
+    this.last = null; // the last original utterance that played, for replays
+    this.nextId = 1;
+    this.running = false;
+  }
+
+  // item: { text, priority = 'normal', ... } plus whatever play() needs. Returns the queued entry;
+  // entry.done resolves with play()'s result, or { cancelled: true, reason } if it never played.
+  enqueue(item) {
+    const priority = item.priority in PRIORITIES ? item.priority : 'normal';
+    const entry = { ...item, id: `${this.nextId}`, priority, queuedAt: Date.now() };
+    this.nextId += 1;
+    entry.done = new Promise((resolve, reject) => {
+      entry.resolve = resolve;
+      entry.reject = reject;
+    });
+    const at = this.items.findIndex(other => PRIORITIES[other.priority] > PRIORITIES[priority]);
+    if (at === -1) this.items.push(entry);
+    else this.items.splice(at, 0, entry);
+    this.onChange();
+    this.drain();
+    return entry;
+  }
+
+  async drain() {
+    if (this.running) return;
+    this.running = true;
+    try {
+      while (this.items.length) {
+        const entry = this.items.shift();
+        this.current = entry;
+        this.onChange();
+        try {
+          entry.resolve(await this.play(entry));
+          if (!entry.replay) this.last = entry;
+        } catch (err) {
+          entry.reject(err);
+        }
+        await this.waitUntilHeard().catch(() => {});
+        this.current = null;
+        this.onChange();
+      }
+    } finally {
+      this.running = false;
+    }
+  }
+
+  // Drops one waiting utterance; the one playing can only be stopped by a barge-in
+  cancel(id, reason = 'cancelled') {
+    const at = this.items.findIndex(entry => entry.id === String(id));
+    if (at === -1) return false;
+    const [entry] = this.items.splice(at, 1);
+    entry.resolve({ cancelled: true, reason });
+    this.onChange();
+    return true;
+  }
+
+  // Drops everything still waiting. Returns how many were dropped.
+  clear(reason = 'cancelled') {
+    const dropped = this.items.splice(0);
+    for (const entry of dropped) entry.resolve({ cancelled: true, reason });
+    if (dropped.length) this.onChange();
+    return dropped.length;
+  }
+
+  // Something the room heard that didn't go through the queue (the agent speaking with its own
+  // voice), kept as the utterance to replay
+  remember(item) {
+    this.last = { ...item, id: `${this.nextId}`, priority: 'normal', queuedAt: Date.now() };
+    this.nextId += 1;
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  get idle() {
+    return !this.current && !this.items.length;
+  }
+
+  snapshot() {
+    const describe = entry => entry && {
+      id: entry.id,
+      text: entry.text,
+      priority: entry.priority,
+      replay: entry.replay || null,
+      queuedAt: entry.queuedAt,
+    };
+    return {
+      playing: describe(this.current),
+      queued: this.items.map(describe),
+      last: this.last ? { text: this.last.text, queuedAt: this.last.queuedAt } : null,
+    };
+  }
+}
@@ -0,0 +1,110 @@
+import fs from 'fs';
+import { compileNumberPatterns } from './security.js';
+import { log } from './log.js';
+
+// Tenant profiles: one bridge persona per dialed number or PIN, from a JSON file that is re-read
+// whenever it changes. Calls keep the profile they started with; a reload affects new calls only.
+//
+// {
+//   "profiles": {
+//     "sre": {
+//       "numbers": ["+14155550100"], "pin": "4242",
+//       "agentId": "...", "voiceId": "...", "ttsModelId": "eleven_flash_v2_5", "language": "en",
+//       "wakePhrases": ["hey sre bot"], "greeting": "SRE bridge, connecting you now.",
+//       "dialAllowlist": ["+1415*"], "dynamicVariables": { "team": "sre" },
+//       "onCall": ["+14155550111", "+14155550112"]
+//     }
+//   }
+// }
+export class ProfileRegistry {
+  constructor({ file, pollMs = 2000 } = {}) {
+    this.file = file;
+    this.pollMs = pollMs;
+    this.profiles = new Map(); // name -> profile
+    this.loadedAt = null;
+  }
+
+  get size() {
+    return this.profiles.size;
+  }
+
+  get hasPins() {
+    return [...this.profiles.values()].some(p => p.pin);
+  }
+
+  // Throws on the first load; later reloads keep the previous profiles when the file is broken
+  load() {
+    if (!this.file) return this;
+    const raw = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    this.profiles = parseProfiles(raw);
+    this.loadedAt = Date.now();
+    log.info('profiles loaded', { file: this.file, profiles: [...this.profiles.keys()] });
+    return this;
+  }
+
+  // Polls rather than fs.watch so editors that replace the file are still noticed
+  watch() {
+    if (!this.file) return this;
+    fs.watchFile(this.file, { interval: this.pollMs, persistent: false }, (curr, prev) => {
+      if (curr.mtimeMs === prev.mtimeMs) return;
+      try {
+        this.load();
+      } catch (err) {
+        log.error('profiles reload failed, keeping previous profiles', { file: this.file, err: err.message });
+      }
+    });
+    return this;
+  }
+
+  close() {
+    if (this.file) fs.unwatchFile(this.file);
+  }
+
+  get(name) {
+    return this.profiles.get(name) || null;
+  }
+
+  forNumber(number) {
+    if (!number) return null;
+    return [...this.profiles.values()].find(p => p.numbers.includes(number)) || null;
+  }
+
+  forPin(pin) {
+    if (!pin) return null;
+    return [...this.profiles.values()].find(p => p.pin === String(pin)) || null;
+  }
+}
+
+function parseProfiles(raw) {
+  const entries = raw?.profiles;
+  if (!entries || typeof entries !== 'object') throw new Error('profiles file needs a "profiles" object');
+  const profiles = new Map();
+  const pins = new Map();
+  const numbers = new Map();
+  for (const [name, p] of Object.entries(entries)) {
+    if (!p || typeof p !== 'object') throw new Error(`profile ${name} must be an object`);
+    const profile = {
+      name,
+      numbers: [].concat(p.numbers || []).map(String),
+      pin: p.pin ? String(p.pin) : null,
+      agentId: p.agentId || null,
+      voiceId: p.voiceId || null,
+      ttsModelId: p.ttsModelId || null,
+      language: p.language || null,
+      wakePhrases: Array.isArray(p.wakePhrases) && p.wakePhrases.length ? p.wakePhrases : null,
+      greeting: p.greeting || null,
+      dialAllowlist: p.dialAllowlist ? compileNumberPatterns([].concat(p.dialAllowlist).join(',')) : null,
+      dynamicVariables: p.dynamicVariables || {},
+      onCall: p.onCall ? [].concat(p.onCall).map(String) : null,
+    };
+    if (profile.pin && !/^\d+$/.test(profile.pin)) throw new Error(`profile ${name}: pin must be digits`);
+    if (profile.pin && pins.has(profile.pin)) throw new Error(`profiles ${pins.get(profile.pin)} and ${name} share a pin`);
+    if (profile.pin) pins.set(profile.pin, name);
+    for (const number of profile.numbers) {
+      if (numbers.has(number)) throw new Error(`profiles ${numbers.get(number)} and ${name} both claim ${number}`);
+      numbers.set(number, name);
+    }
+    profiles.set(name, profile);
+  }
+  return profiles;
+}
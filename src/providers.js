@@ -0,0 +1,50 @@
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { ElevenLabsClient, ElevenLabsAgentClient, ElevenLabsSynthesizer } from './elevenlabs.js';
+import { VoskTranscriber } from './vosk.js';
+import { OpenAIAgentClient } from './openai.js';
+import { HttpSynthesizer } from './http-tts.js';
+
+// The speech pipeline is three swappable parts. Every implementation of a kind has the same surface:
+//   transcriber (one per media stream, fed 8 kHz μ-law):
+//     connect(), sendAudio(mulaw), close(), onTranscript(cb(text, isCommitted, { languageCode }))
+//   agent (one conversation per conference):
+//     connect(), sendText(text, timeoutMs) -> reply | null, sendContextualUpdate(text), interrupt(),
+//     onSubsequentResponse(cb), onAudio(cb), busy, close()
+//   synthesizer (shared):
+//     synthesize(text, { format: 'file' | 'mulaw', language }) -> { audio, contentType, durationMs }
+//     'file' is anything Twilio <Play> accepts; 'mulaw' is raw 8 kHz μ-law for media streams.
+//     language, when given, overrides the configured one for this utterance.
+const BUILTIN = {
+  transcriber: {
+    elevenlabs: o => ({ configured: !!(o.url && o.apiKey), create: extra => new ElevenLabsClient({ ...o, ...extra }) }),
+    vosk: o => ({ configured: !!o.url, create: extra => new VoskTranscriber({ ...o, ...extra }) }),
+  },
+  agent: {
+    elevenlabs: o => ({ configured: !!(o.agentId && o.apiKey), create: extra => new ElevenLabsAgentClient({ ...o, ...extra }) }),
+    openai: o => ({ configured: !!o.model, create: extra => new OpenAIAgentClient({ ...o, ...extra }) }),
+  },
+  synthesizer: {
+    elevenlabs: o => ({ configured: !!(o.apiKey && o.voiceId), create: extra => new ElevenLabsSynthesizer({ ...o, ...extra }) }),
+    http: o => ({ configured: !!o.url, create: extra => new HttpSynthesizer({ ...o, ...extra }) }),
+  },
+};
+
+// name: a built-in name above, or a module path whose default export is (options) => instance,
+// as with STORE_DRIVER. options: settings for each built-in, e.g. options.agent.openai.model.
+async function resolve(kind, name, options) {
+  const builtin = BUILTIN[kind][name];
+  if (builtin) return { name, ...builtin(options[kind]?.[name] || {}) };
+  const mod = await import(pathToFileURL(path.resolve(name)).href);
+  return { name, configured: true, create: extra => mod.default({ ...extra }) };
+}
+
+// Returns { transcriber, agent, synthesizer }, each { name, configured, create(extra) };
+// extra carries per-session settings such as an agent's dynamicVariables.
+export async function createProviders({ transcriber = 'elevenlabs', agent = 'elevenlabs', synthesizer = 'elevenlabs', options = {} }) {
+  return {
+    transcriber: await resolve('transcriber', transcriber, options),
+    agent: await resolve('agent', agent, options),
+    synthesizer: await resolve('synthesizer', synthesizer, options),
+  };
+}
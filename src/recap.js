@@ -0,0 +1,119 @@
+import fs from 'fs/promises';
+import path from 'path';
+import axios from 'axios';
+import nodemailer from 'nodemailer';
+import { formatLines } from './transcript.js';
+import { log } from './log.js';
+
+const RECAP_INSTRUCTIONS = `The conference call below has ended. Write a post-call recap.
+Reply with JSON only, no prose, in exactly this shape:
+{"summary": "2-4 sentences", "decisions": ["..."], "actionItems": [{"owner": "name or number", "task": "...", "due": "optional"}]}
+Use empty arrays when there is nothing to report. Only list owners who were named or clearly volunteered.`;
+
+export function buildRecapPrompt(events, maxChars = 20000) {
+  const lines = events.filter(e => e.type === 'transcript');
+  let transcript = formatLines(lines);
+  // Keep the end of long calls; that's where decisions and owners usually land
+  if (transcript.length > maxChars) transcript = `...\n${transcript.slice(-maxChars)}`;
+  const actions = actionsTaken(events);
+  const actionText = actions.length ? actions.map(a => `- ${a.description}`).join('\n') : '- none';
+  return `${RECAP_INSTRUCTIONS}\n\nTranscript:\n${transcript || '(no speech recorded)'}\n\nActions the agent took:\n${actionText}`;
+}
+
+// Derived from recorded tool calls rather than asked of the model, so it can't be hallucinated
+export function actionsTaken(events) {
+  return events
+    .filter(e => e.type === 'tool-call')
+    .map(e => ({
+      at: e.at,
+      name: e.name,
+      args: e.args || {},
+      ok: !e.error,
+      description: `${e.name}(${Object.values(e.args || {}).join(', ')})${e.error ? ` failed: ${e.error}` : ''}`,
+    }));
+}
+
+export function parseRecap(text) {
+  const empty = { summary: '', decisions: [], actionItems: [] };
+  if (!text) return empty;
+  const match = text.match(/\{[\s\S]*\}/);
+  if (match) {
+    try {
+      const parsed = JSON.parse(match[0]);
+      return {
+        summary: String(parsed.summary || ''),
+        decisions: Array.isArray(parsed.decisions) ? parsed.decisions.map(String) : [],
+        actionItems: Array.isArray(parsed.actionItems)
+          ? parsed.actionItems.map(item => ({ owner: item.owner || null, task: String(item.task || ''), due: item.due || null }))
+          : [],
+      };
+    } catch {
+      // fall through to using the raw reply as the summary
+    }
+  }
+  return { ...empty, summary: text.trim() };
+}
+
+export function recapToMarkdown(conference, recap) {
+  const out = [`# Call recap: ${conference.id}`, ''];
+  const started = conference.startedAt || conference.createdAt;
+  if (started) out.push(`- Started: ${new Date(started).toISOString()}`);
+  if (conference.endedAt) out.push(`- Ended: ${new Date(conference.endedAt).toISOString()}`);
+  const people = [...new Set((conference.participants || []).map(p => p.speaker).filter(Boolean))];
+  if (people.length) out.push(`- Participants: ${people.join(', ')}`);
+  out.push('', '## Summary', '', recap.summary || '_No summary available._', '', '## Decisions', '');
+  out.push(...(recap.decisions.length ? recap.decisions.map(d => `- ${d}`) : ['_None recorded._']));
+  out.push('', '## Action items', '');
+  out.push(...(recap.actionItems.length
+    ? recap.actionItems.map(a => `- [ ] ${a.task}${a.owner ? ` (${a.owner})` : ''}${a.due ? `, due ${a.due}` : ''}`)
+    : ['_None recorded._']));
+  out.push('', '## Actions taken by the agent', '');
+  out.push(...(recap.actionsTaken.length ? recap.actionsTaken.map(a => `- ${a.description}`) : ['_None._']));
+  return `${out.join('\n')}\n`;
+}
+
+// targets: comma-separated list of webhook, email, markdown
+export function createRecapDeliverers({ targets, webhookUrl, smtpUrl, emailFrom, emailTo, dir }) {
+  const names = (targets || '').split(',').map(s => s.trim()).filter(Boolean);
+  const deliverers = [];
+  for (const name of names) {
+    if (name === 'webhook' && webhookUrl) {
+      deliverers.push({
+        name,
+        deliver: (_conference, _recap, markdown) => axios.post(webhookUrl, { text: markdown }),
+      });
+    } else if (name === 'email' && smtpUrl && emailTo) {
+      const transport = nodemailer.createTransport(smtpUrl);
+      deliverers.push({
+        name,
+        deliver: (conference, _recap, markdown) => transport.sendMail({
+          from: emailFrom || emailTo,
+          to: emailTo,
+          subject: `Call recap: ${conference.id}`,
+          text: markdown,
+        }),
+      });
+    } else if (name === 'markdown' && dir) {
+      deliverers.push({
+        name,
+        deliver: async (conference, _recap, markdown) => {
+          await fs.mkdir(dir, { recursive: true });
+          await fs.writeFile(path.join(dir, `${encodeURIComponent(conference.id)}.md`), markdown);
+        },
+      });
+    } else {
+      log.warn('recap delivery target not configured, skipping', { target: name });
+    }
+  }
+  return deliverers;
+}
+
+export async function deliverRecap(deliverers, conference, recap) {
+  const markdown = recapToMarkdown(conference, recap);
+  const results = await Promise.allSettled(deliverers.map(d => d.deliver(conference, recap, markdown)));
+  return results.map((r, i) => ({
+    target: deliverers[i].name,
+    ok: r.status === 'fulfilled',
+    error: r.status === 'rejected' ? r.reason?.message : undefined,
+  }));
+}
@@ -0,0 +1,213 @@
+import WebSocket from 'ws';
+import { log } from './log.js';
+
+// Helpers for sockets that must survive drops mid-call.
+
+// Exponential backoff with full jitter: 0.5s, 1s, 2s ... capped at maxMs
+export class Backoff {
+  constructor({ minMs = 500, maxMs = 15000, factor = 2, maxAttempts = Infinity } = {}) {
+    this.minMs = minMs;
+    this.maxMs = maxMs;
+    this.factor = factor;
+    this.maxAttempts = maxAttempts;
+    this.attempts = 0;
+  }
+
+  get exhausted() {
+    return this.attempts >= this.maxAttempts;
+  }
+
+  next() {
+    const ceiling = Math.min(this.maxMs, this.minMs * this.factor ** this.attempts);
+    this.attempts += 1;
+    return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+  }
+
+  reset() {
+    this.attempts = 0;
+  }
+}
+
+// Audio held while a socket is down, replayed on reconnect. Bounded by duration (oldest frames go
+// first) and by age, since speech from long ago is no use to a live transcript.
+export class AudioBacklog {
+  constructor({ maxMs = 5000, maxAgeMs = 10000, bytesPerMs = 8 } = {}) {
+    this.maxBytes = maxMs * bytesPerMs;
+    this.maxAgeMs = maxAgeMs;
+    this.bytesPerMs = bytesPerMs;
+    this.chunks = []; // { buf, at }
+    this.bytes = 0;
+    this.droppedBytes = 0;
+  }
+
+  get bufferedMs() {
+    return Math.round(this.bytes / this.bytesPerMs);
+  }
+
+  get droppedMs() {
+    return Math.round(this.droppedBytes / this.bytesPerMs);
+  }
+
+  push(buf) {
+    this.chunks.push({ buf, at: Date.now() });
+    this.bytes += buf.length;
+    while (this.bytes > this.maxBytes && this.chunks.length) this.dropOldest();
+  }
+
+  // Returns the buffers still worth sending and empties the backlog
+  drain() {
+    const cutoff = Date.now() - this.maxAgeMs;
+    while (this.chunks.length && this.chunks[0].at < cutoff) this.dropOldest();
+    const bufs = this.chunks.map(c => c.buf);
+    this.clear();
+    return bufs;
+  }
+
+  clear() {
+    this.chunks = [];
+    this.bytes = 0;
+  }
+
+  dropOldest() {
+    const { buf } = this.chunks.shift();
+    this.bytes -= buf.length;
+    this.droppedBytes += buf.length;
+  }
+}
+
+// Transcriber socket that reconnects on its own. Subclasses open the socket (openSocket), set up a
+// fresh one (onOpen), send one backlog frame over it (sendLive) and parse what comes back
+// (handleMessage); connection state, backoff, the audio backlog and health live here.
+export class ReconnectingTranscriber {
+  // reconnect: Backoff options, or false to give up on the first drop
+  constructor({ name, reconnect = {}, bufferMs = 5000, bufferMaxAgeMs = 10000, bytesPerMs = 8 }) {
+    this.name = name;
+    this.ws = null;
+    this.ready = false;
+    this.connectedPromise = null;
+    this.transcriptHandler = null;
+    this.statusHandler = null;
+    this.backoff = reconnect === false ? null : new Backoff(reconnect);
+    this.pending = new AudioBacklog({ maxMs: bufferMs, maxAgeMs: bufferMaxAgeMs, bytesPerMs });
+    this.state = 'idle';
+    this.closed = false;
+    this.reconnectTimer = null;
+    this.reconnects = 0;
+    this.lastError = null;
+    this.since = Date.now();
+  }
+
+  onTranscript(cb) {
+    this.transcriptHandler = cb;
+  }
+
+  // cb(state, info): 'reconnecting' { attempt, delayMs }, 'reconnected' { downMs }, 'failed'
+  onStatus(cb) {
+    this.statusHandler = cb;
+  }
+
+  canConnect() {
+    return true;
+  }
+
+  onOpen() {}
+
+  async connect() {
+    if (!this.canConnect()) return null;
+    if (this.connectedPromise) return this.connectedPromise;
+    this.closed = false;
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    if (this.state !== 'reconnecting') this.setState('connecting');
+    this.connectedPromise = new Promise((resolve, reject) => {
+      const ws = this.openSocket();
+      this.ws = ws;
+      ws.on('open', () => {
+        if (this.closed) return ws.close();
+        const downMs = Date.now() - this.since;
+        const resumed = this.state === 'reconnecting';
+        this.ready = true;
+        this.backoff?.reset();
+        this.setState('open');
+        this.onOpen(ws);
+        this.flushPending();
+        if (resumed) this.statusHandler?.('reconnected', { downMs, reconnects: this.reconnects });
+        resolve();
+      });
+      ws.on('message', data => this.handleMessage(data));
+      ws.on('close', code => {
+        if (this.ws !== ws) return;
+        this.ready = false;
+        this.connectedPromise = null;
+        if (this.closed) return;
+        log.warn(`${this.name} socket closed`, { code });
+        this.scheduleReconnect();
+      });
+      ws.on('error', err => {
+        this.lastError = err.message;
+        reject(err);
+      });
+    });
+    return this.connectedPromise;
+  }
+
+  // Audio keeps arriving from Twilio while the socket is down; it waits in the backlog
+  scheduleReconnect() {
+    if (this.reconnectTimer) return;
+    if (!this.backoff || this.backoff.exhausted) {
+      this.setState('failed');
+      this.pending.clear();
+      this.statusHandler?.('failed', { lastError: this.lastError });
+      return;
+    }
+    const delayMs = this.backoff.next();
+    this.reconnects += 1;
+    if (this.state !== 'reconnecting') this.setState('reconnecting');
+    this.statusHandler?.('reconnecting', { attempt: this.backoff.attempts, delayMs });
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.connect().catch(() => {}); // a failed attempt closes the socket and lands back here
+    }, delayMs);
+  }
+
+  setState(state) {
+    this.state = state;
+    this.since = Date.now();
+  }
+
+  health() {
+    return {
+      state: this.state,
+      since: new Date(this.since).toISOString(),
+      reconnects: this.reconnects,
+      bufferedMs: this.pending.bufferedMs,
+      droppedMs: this.pending.droppedMs,
+      lastError: this.lastError,
+    };
+  }
+
+  // Frames before the first open or during a reconnect wait in a short, bounded backlog
+  sendAudio(buffer) {
+    if (this.ready && this.ws?.readyState === WebSocket.OPEN) {
+      this.sendLive(buffer);
+    } else if (!this.closed && this.state !== 'failed') {
+      this.pending.push(buffer);
+    }
+  }
+
+  flushPending() {
+    if (!this.ready || this.ws?.readyState !== WebSocket.OPEN) return;
+    for (const buf of this.pending.drain()) this.sendLive(buf);
+  }
+
+  close() {
+    this.closed = true;
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    if (this.ws?.readyState === WebSocket.OPEN) this.ws.close();
+    this.ready = false;
+    this.connectedPromise = null;
+    this.pending.clear();
+    this.setState('closed');
+  }
+}
@@ -0,0 +1,209 @@
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+import { decodeMulawToPcm16, wavHeader } from './elevenlabs.js';
+import { log } from './log.js';
+
+const SAMPLE_RATE = 8000;
+const BYTES_PER_MS = (SAMPLE_RATE / 1000) * 2;
+const MAX_GAP_MS = 60 * 1000; // longer holes in a leg's timestamps are not padded out
+
+// Per-conference recording under dir/<conference>/: one WAV per participant leg as it arrives
+// from /media, the agent's speech, and a mixed track built from all of them when the conference
+// ends. Everything is 8 kHz 16-bit mono and aligned on the conference's wall clock.
+export class ConferenceRecorder {
+  constructor({ dir, confKey, startedAt = Date.now() }) {
+    this.confKey = confKey;
+    this.dir = path.join(dir, safeName(confKey));
+    this.startedAt = startedAt;
+    this.legs = new Map(); // callSid -> LegTrack
+    this.agentSegments = []; // { at, pcm }
+    this.finished = null;
+    fs.mkdirSync(this.dir, { recursive: true });
+  }
+
+  startLeg(callSid, { speaker } = {}) {
+    let leg = this.legs.get(callSid);
+    if (!leg) {
+      leg = new LegTrack({ file: path.join(this.dir, `${safeName(callSid)}.wav`), callSid, speaker, startedAt: Date.now() });
+      this.legs.set(callSid, leg);
+    }
+    return leg;
+  }
+
+  // pcm: 8 kHz 16-bit, played to the room starting at `at`
+  addAgentAudio(pcm, at = Date.now()) {
+    if (this.finished || !pcm?.length) return;
+    this.agentSegments.push({ at, pcm });
+  }
+
+  // Barge-in: the room stopped hearing the agent at `at`
+  cutAgent(at = Date.now()) {
+    for (const segment of this.agentSegments) {
+      const heardBytes = Math.max(0, Math.floor((at - segment.at) * BYTES_PER_MS / 2) * 2);
+      if (heardBytes < segment.pcm.length) segment.pcm = segment.pcm.subarray(0, heardBytes);
+    }
+  }
+
+  // Closes every track and writes agent.wav and mixed.wav. Returns the recordings list.
+  finish() {
+    this.finished ??= this.writeAll();
+    return this.finished;
+  }
+
+  async writeAll() {
+    const legs = await Promise.all([...this.legs.values()].map(leg => leg.close()));
+    const tracks = legs
+      .filter(t => t.samples > 0)
+      .map(t => ({ ...t, kind: 'leg', offsetSamples: msToSamples(t.startedAt - this.startedAt) }));
+    const agent = await this.writeAgentTrack();
+    if (agent) tracks.push({ ...agent, kind: 'agent', offsetSamples: 0 });
+    const recordings = tracks.map(describe);
+    if (tracks.length) {
+      const mixed = await mixdown(tracks, path.join(this.dir, 'mixed.wav'));
+      recordings.push(describe({ ...mixed, kind: 'mixed', startedAt: this.startedAt }));
+    }
+    return recordings;
+  }
+
+  async writeAgentTrack() {
+    if (!this.agentSegments.some(s => s.pcm.length)) return null;
+    const file = path.join(this.dir, 'agent.wav');
+    const parts = [];
+    let cursor = 0; // bytes written
+    for (const { at, pcm } of [...this.agentSegments].sort((a, b) => a.at - b.at)) {
+      const start = msToSamples(at - this.startedAt) * 2;
+      if (start > cursor) parts.push(Buffer.alloc(start - cursor));
+      parts.push(pcm);
+      cursor = Math.max(cursor, start) + pcm.length;
+    }
+    const data = Buffer.concat(parts);
+    await fsp.writeFile(file, Buffer.concat([wavHeader(data.length, SAMPLE_RATE), data]));
+    return { file, callSid: null, speaker: 'agent', startedAt: this.startedAt, samples: data.length / 2 };
+  }
+}
+
+// One participant's inbound audio, streamed to disk; the header is patched with the real sizes on close
+class LegTrack {
+  constructor({ file, callSid, speaker, startedAt }) {
+    this.file = file;
+    this.callSid = callSid;
+    this.speaker = speaker;
+    this.startedAt = startedAt;
+    this.bytes = 0;
+    this.closed = null;
+    this.stream = fs.createWriteStream(file);
+    this.stream.on('error', err => log.warn('recording write failed', { file, err: err.message }));
+    this.stream.write(wavHeader(0, SAMPLE_RATE));
+  }
+
+  // timestampMs: Twilio's media.timestamp, ms since the stream started; gaps become silence
+  write(mulaw, timestampMs) {
+    if (this.closed) return;
+    const writtenMs = this.bytes / BYTES_PER_MS;
+    const gapMs = Number.isFinite(timestampMs) ? timestampMs - writtenMs : 0;
+    if (gapMs >= 20 && gapMs <= MAX_GAP_MS) this.append(Buffer.alloc(msToSamples(gapMs) * 2));
+    this.append(decodeMulawToPcm16(mulaw));
+  }
+
+  append(pcm) {
+    this.stream.write(pcm);
+    this.bytes += pcm.length;
+  }
+
+  close() {
+    this.closed ??= (async () => {
+      await new Promise(resolve => this.stream.end(resolve));
+      const handle = await fsp.open(this.file, 'r+');
+      try {
+        await handle.write(wavHeader(this.bytes, SAMPLE_RATE), 0, 44, 0);
+      } finally {
+        await handle.close();
+      }
+      return { file: this.file, callSid: this.callSid, speaker: this.speaker, startedAt: this.startedAt, samples: this.bytes / 2 };
+    })();
+    return this.closed;
+  }
+}
+
+// Sums the tracks a second at a time so hour-long calls don't have to fit in memory
+async function mixdown(tracks, file) {
+  const total = Math.max(...tracks.map(t => t.offsetSamples + t.samples));
+  const handles = await Promise.all(tracks.map(t => fsp.open(t.file, 'r')));
+  const out = await fsp.open(file, 'w');
+  try {
+    await out.write(wavHeader(total * 2, SAMPLE_RATE), 0, 44, 0);
+    for (let start = 0; start < total; start += SAMPLE_RATE) {
+      const n = Math.min(SAMPLE_RATE, total - start);
+      const mix = new Int32Array(n);
+      for (let i = 0; i < tracks.length; i += 1) {
+        const { offsetSamples, samples } = tracks[i];
+        const from = Math.max(start, offsetSamples);
+        const to = Math.min(start + n, offsetSamples + samples);
+        if (to <= from) continue;
+        const buf = Buffer.alloc((to - from) * 2);
+        await handles[i].read(buf, 0, buf.length, 44 + (from - offsetSamples) * 2);
+        for (let j = 0; j < to - from; j += 1) mix[from - start + j] += buf.readInt16LE(j * 2);
+      }
+      const pcm = Buffer.alloc(n * 2);
+      for (let j = 0; j < n; j += 1) pcm.writeInt16LE(Math.max(-32768, Math.min(32767, mix[j])), j * 2);
+      await out.write(pcm, 0, pcm.length, 44 + start * 2);
+    }
+  } finally {
+    await Promise.all([out, ...handles].map(h => h.close()));
+  }
+  return { file, callSid: null, speaker: null, samples: total };
+}
+
+function describe({ file, kind, callSid, speaker, startedAt, samples }) {
+  return {
+    name: path.basename(file),
+    kind,
+    callSid,
+    speaker,
+    startedAt,
+    durationMs: Math.round((samples / SAMPLE_RATE) * 1000),
+    bytes: 44 + samples * 2,
+  };
+}
+
+function msToSamples(ms) {
+  return Math.max(0, Math.round((ms * SAMPLE_RATE) / 1000));
+}
+
+// Conference names and call SIDs become directory and file names
+export function safeName(name) {
+  return String(name).replace(/[^A-Za-z0-9_.-]/g, '_').replace(/^\./, '_');
+}
+
+export function recordingPath(dir, confKey, name) {
+  const file = path.basename(String(name));
+  if (!/\.wav$/.test(file)) return null;
+  return path.join(dir, safeName(confKey), file);
+}
+
+export async function deleteRecordings(dir, confKey) {
+  await fsp.rm(path.join(dir, safeName(confKey)), { recursive: true, force: true });
+}
+
+// Retention: removes conference recording directories last written more than maxAgeMs ago,
+// except those in keep (still recording). Returns the directory names removed.
+export async function sweepRecordings(dir, maxAgeMs, { keep = new Set() } = {}) {
+  let entries;
+  try {
+    entries = await fsp.readdir(dir, { withFileTypes: true });
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+  const removed = [];
+  const cutoff = Date.now() - maxAgeMs;
+  for (const entry of entries.filter(e => e.isDirectory() && !keep.has(e.name))) {
+    const target = path.join(dir, entry.name);
+    const { mtimeMs } = await fsp.stat(target);
+    if (mtimeMs >= cutoff) continue;
+    await fsp.rm(target, { recursive: true, force: true });
+    removed.push(entry.name);
+  }
+  return removed;
+}
@@ -0,0 +1,105 @@
+import crypto from 'crypto';
+import twilio from 'twilio';
+import { log } from './log.js';
+
+// HMAC signer for short-lived URLs and tokens: "<expiresAt>.<signature>"
+export function createSigner(secret) {
+  const key = secret || crypto.randomBytes(32).toString('hex');
+  const mac = value => crypto.createHmac('sha256', key).update(value).digest('base64url');
+  return {
+    sign(value, ttlMs) {
+      const exp = Date.now() + ttlMs;
+      return `${exp}.${mac(`${value}:${exp}`)}`;
+    },
+    verify(value, token) {
+      const [exp, sig] = String(token || '').split('.');
+      if (!exp || !sig || Number(exp) < Date.now()) return false;
+      return safeEqual(sig, mac(`${value}:${exp}`));
+    },
+  };
+}
+
+export function safeEqual(a, b) {
+  const ab = Buffer.from(String(a));
+  const bb = Buffer.from(String(b));
+  return ab.length === bb.length && crypto.timingSafeEqual(ab, bb);
+}
+
+// Rejects Twilio webhooks whose X-Twilio-Signature doesn't match the public URL and form params.
+// Without the token or URL nothing can be verified, so every webhook is refused until checks are
+// turned off explicitly (enabled: false).
+export function twilioSignature({ authToken, baseUrl, enabled = true }) {
+  if (!enabled) log.warn('twilio signature check disabled');
+  else if (!authToken || !baseUrl) log.error('twilio webhooks will be refused: TWILIO_AUTH_TOKEN or PUBLIC_BASE_URL missing');
+  return (req, res, next) => {
+    if (!enabled) return next();
+    if (!authToken || !baseUrl) {
+      log.warn('twilio webhook refused: signature check not configured', { path: req.path });
+      return res.sendStatus(503);
+    }
+    const signature = req.get('X-Twilio-Signature');
+    const url = `${baseUrl}${req.originalUrl}`;
+    if (signature && twilio.validateRequest(authToken, signature, url, req.body || {})) return next();
+    log.warn('twilio signature rejected', { path: req.path });
+    res.sendStatus(403);
+  };
+}
+
+// Auth for webhooks the ElevenLabs agent calls: either "Authorization: Bearer <secret>"
+// or "X-Signature: sha256=<hex hmac of the raw body>". Without a secret every request is refused,
+// unless auth is turned off explicitly (required: false).
+export function toolAuth({ secret, required = true }) {
+  if (!secret && required) log.error('tool routes will be refused: TOOL_SECRET not set');
+  else if (!secret) log.warn('tool auth disabled: anyone who can reach the server can use the tool routes');
+  return (req, res, next) => {
+    if (!secret) {
+      if (!required) return next();
+      log.warn('tool request refused: TOOL_SECRET not set', { path: req.path });
+      return res.status(503).json({ error: 'tool auth not configured' });
+    }
+    const bearer = (req.get('Authorization') || '').replace(/^Bearer\s+/i, '');
+    if (bearer && safeEqual(bearer, secret)) return next();
+    const signature = (req.get('X-Signature') || '').replace(/^sha256=/, '');
+    if (signature && req.rawBody) {
+      const expected = crypto.createHmac('sha256', secret).update(req.rawBody).digest('hex');
+      if (safeEqual(signature, expected)) return next();
+    }
+    log.warn('tool auth rejected', { path: req.path });
+    res.status(401).json({ error: 'unauthorized' });
+  };
+}
+
+// HTTP Basic auth for browser-facing pages; any user name, password must match. Without a
+// password nobody gets in.
+export function basicAuth({ password, realm = 'twilio-agent' }) {
+  return (req, res, next) => {
+    if (!password) {
+      log.warn('basic auth refused: no password configured', { path: req.path });
+      return res.sendStatus(401);
+    }
+    const [scheme, encoded] = (req.get('Authorization') || '').split(' ');
+    const supplied = scheme === 'Basic'
+      ? Buffer.from(encoded || '', 'base64').toString().split(':').slice(1).join(':')
+      : '';
+    if (supplied && safeEqual(supplied, password)) return next();
+    res.set('WWW-Authenticate', `Basic realm="${realm}"`).sendStatus(401);
+  };
+}
+
+const E164 = /^\+[1-9]\d{6,14}$/;
+
+// Patterns are E.164 prefixes with an optional trailing or embedded "*" wildcard, e.g. "+1415*"
+export function compileNumberPatterns(raw) {
+  return (raw || '')
+    .split(',')
+    .map(s => s.trim())
+    .filter(Boolean)
+    .map(p => new RegExp(`^${p.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '\\d*')}$`));
+}
+
+export function checkDestination(number, { allow = [], deny = [] }) {
+  if (!E164.test(number || '')) return { ok: false, reason: 'destination must be an E.164 number' };
+  if (deny.some(re => re.test(number))) return { ok: false, reason: 'destination is denylisted' };
+  if (allow.length && !allow.some(re => re.test(number))) return { ok: false, reason: 'destination is not allowlisted' };
+  return { ok: true };
+}
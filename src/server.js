@@ -3,8 +3,31 @@ import bodyParser from 'body-parser';
 import dotenv from 'dotenv';
 import { WebSocketServer } from 'ws';
 import twilio from 'twilio';
-import axios from 'axios';
-import { ElevenLabsClient, ElevenLabsAgentClient } from './elevenlabs.js';
+import crypto from 'crypto';
+import path from 'path';
+import { toTwilioMulaw, decodeMulawToPcm16, encodePcm16ToMulaw, stretchPcm16, wavHeader } from './elevenlabs.js';
+import { createProviders } from './providers.js';
+import { WakeMatcher, normalizeSpeech } from './wake.js';
+import { TurnTaker } from './turns.js';
+import { VoiceActivityDetector } from './vad.js';
+import { ConferenceRecorder, recordingPath, deleteRecordings, sweepRecordings, safeName } from './recording.js';
+import { ProfileRegistry } from './profiles.js';
+import { parseAlert, alertVariables, describeAlert, OnCallEscalation } from './incidents.js';
+import { PlaybackQueue } from './playback.js';
+import { ToolRegistry, webhookTool } from './tools.js';
+import { log, configureLogging } from './log.js';
+import { registry, stageSeconds, wakeHits, wakesThrottled, announceFallbacks } from './metrics.js';
+import { ConferenceTranscript, formatLines, formatVtt } from './transcript.js';
+import { AgentSessionRegistry } from './agent-sessions.js';
+import { AgentMediaLeg } from './agent-media.js';
+import { createStore } from './store.js';
+import { mountMcp } from './mcp.js';
+import { ConfirmationGate } from './confirmations.js';
+import { EventFeed, mountDashboard } from './dashboard.js';
+import { createSigner, twilioSignature, toolAuth, basicAuth, compileNumberPatterns, checkDestination } from './security.js';
+import { normalizeLanguage, languageName } from './languages.js';
+import { ContactDirectory, describeContact } from './contacts.js';
+import { buildRecapPrompt, parseRecap, actionsTaken, createRecapDeliverers, deliverRecap, recapToMarkdown } from './recap.js';
 
 dotenv.config();
 
@@ -15,8 +38,18 @@ const {
   TWILIO_ACCOUNT_SID,
   TWILIO_AUTH_TOKEN,
   TWILIO_NUMBER,
+  TWILIO_API_BASE,
   WAKE_PHRASE = 'hey assistant',
   WAKE_PHRASES,
+  WAKE_ALIASES,
+  WAKE_PHRASES_BY_NUMBER,
+  WAKE_MATCH_THRESHOLD = '0.8',
+  WAKE_PHONETIC = 'true',
+  WAKE_COMMAND_WAIT_MS = '6000',
+  WAKE_PARTIAL_WAIT_MS = '2500',
+  FOLLOWUP_WINDOW_MS = '10000',
+  FOLLOWUP_SPEAKERS = 'same',
+  DISENGAGE_PHRASES = "that's all,that is all,that's it,we're done,all done,no more questions",
   ELEVEN_API_KEY,
   ELEVEN_WS_URL,
   ELEVEN_API_BASE = 'https://api.elevenlabs.io',
@@ -27,112 +60,582 @@ const {
   ELEVEN_START_MESSAGE,
   ELEVEN_VOICE_ID,
   ELEVEN_AGENT_ID,
+  ELEVEN_TTS_MODEL_ID = 'eleven_flash_v2_5',
+  ELEVEN_TTS_LANGUAGE_CODE,
+  ELEVEN_TTS_MULTILINGUAL_MODEL_ID = 'eleven_flash_v2_5',
+  LANGUAGE_DETECTION = 'false',
+  TRANSLATE_FOR_ROOM = 'false',
+  STT_PROVIDER = 'elevenlabs',
+  AGENT_PROVIDER = 'elevenlabs',
+  TTS_PROVIDER = 'elevenlabs',
+  VOSK_URL,
+  OPENAI_BASE_URL = 'https://api.openai.com/v1',
+  OPENAI_API_KEY,
+  OPENAI_MODEL = 'gpt-4o-mini',
+  OPENAI_SYSTEM_PROMPT,
+  OPENAI_TEMPERATURE,
+  TTS_HTTP_URL,
+  TTS_HTTP_VOICE,
+  TTS_HTTP_LANGUAGE,
+  RECONNECT_MIN_MS = '500',
+  RECONNECT_MAX_MS = '15000',
+  RECONNECT_MAX_ATTEMPTS = '20',
+  STT_BUFFER_MS = '5000',
+  STT_BUFFER_MAX_AGE_MS = '10000',
+  VAD = 'false',
+  VAD_MIN_DBFS = '-45',
+  VAD_NOISE_MARGIN_DB = '9',
+  VAD_MAX_ZCR = '0.35',
+  VAD_HANGOVER_MS = '400',
+  VAD_PREROLL_MS = '200',
+  VAD_TAIL_MS,
+  VAD_END_WAIT_MS = '800',
+  RECORDING = 'false',
+  RECORDINGS_DIR,
+  RECORDING_RETENTION_DAYS = '30',
+  RECORDING_CONSENT_MESSAGE = 'This call is being recorded.',
+  PROFILES_FILE,
+  CONTACTS_FILE,
+  PROFILE_PIN_PROMPT = 'Enter your bridge PIN, then press pound.',
+  PROFILE_PIN_ATTEMPTS = '3',
+  ONCALL_ROTATION,
+  INCIDENT_DIAL_ATTEMPTS = '2',
+  INCIDENT_RETRY_DELAY_MS = '30000',
+  INCIDENT_RING_SECONDS = '25',
+  TRANSCRIPT_MAX_LINES = '1000',
+  TRANSCRIPT_CONTEXT_LINES = '30',
+  TRANSCRIPT_CONTEXT_CHARS = '4000',
+  TRANSCRIPT_CONTEXT_MODE = 'contextual',
+  PLAYBACK_MODE = 'announce',
+  AGENT_LEG_NUMBER,
+  ELEVEN_AGENT_AUDIO = 'false',
+  ELEVEN_AGENT_AUDIO_FORMAT = 'pcm_16000',
+  BARGE_IN = 'true',
+  BARGE_IN_MIN_WORDS = '2',
+  STOP_COMMANDS = "stop,cancel,never mind,that's enough,be quiet",
+  REPEAT_COMMANDS = 'repeat that,say that again,say again,come again,what was that',
+  SLOWER_COMMANDS = 'say that slower,slower please,slow down,say it slower',
+  PLAYBACK_SLOWER_RATE = '0.75',
+  STORE_DRIVER = 'file',
+  DATA_DIR = 'data',
+  RECAP = 'true',
+  RECAP_DELIVERY = '',
+  RECAP_WEBHOOK_URL,
+  RECAP_SMTP_URL,
+  RECAP_EMAIL_FROM,
+  RECAP_EMAIL_TO,
+  RECAP_DIR,
+  RECAP_MAX_CHARS = '20000',
+  TWILIO_VALIDATE_SIGNATURES = 'true',
+  TOOL_SECRET,
+  REQUIRE_TOOL_AUTH = 'true',
+  URL_SIGNING_SECRET,
+  DIAL_ALLOWLIST,
+  DIAL_DENYLIST,
+  REQUIRE_VOICE_CONFIRMATION = 'true',
+  CONFIRM_PHRASES = 'confirm,yes confirm,confirmed,go ahead',
+  CANCEL_PHRASES = "cancel,no,abort,don't",
+  CONFIRM_TIMEOUT_MS = '30000',
+  ACTION_RISK,
+  WEBHOOK_TOOLS,
+  HOLD_MUSIC_URL,
+  DASHBOARD_PASSWORD,
+  LOG_LEVEL = 'info',
+  LOG_FORMAT = 'json',
 } = process.env;
 
-const parsedStartPayload = parseStartPayload(ELEVEN_START_MESSAGE);
+configureLogging({ level: LOG_LEVEL, format: LOG_FORMAT });
+
 const wakeList = parseWakeList(WAKE_PHRASES, WAKE_PHRASE);
+const wakeAliases = parseWakeList(WAKE_ALIASES, '');
+// Aliases are extra spellings of the first configured phrase, e.g. how Scribe tends to hear it
+const globalWake = createWakeMatcher(wakeList.map((phrase, i) => ({ phrase, aliases: i === 0 ? wakeAliases : [] })));
+const wakeByNumber = parseJsonEnv('WAKE_PHRASES_BY_NUMBER', WAKE_PHRASES_BY_NUMBER) || {};
+const stopCommands = parseWakeList(STOP_COMMANDS, '').map(normalizeSpeech);
+const repeatCommands = parseWakeList(REPEAT_COMMANDS, '').map(normalizeSpeech);
+const slowerCommands = parseWakeList(SLOWER_COMMANDS, '').map(normalizeSpeech);
+const confirmPhrases = parseWakeList(CONFIRM_PHRASES, '').map(normalizeSpeech);
+const cancelPhrases = parseWakeList(CANCEL_PHRASES, '').map(normalizeSpeech);
+const onCallRotation = (ONCALL_ROTATION || '').split(',').map(s => s.trim()).filter(Boolean);
+const streamPlayback = PLAYBACK_MODE === 'stream';
+// Manual commits need something to decide where speech ends
+const manualCommit = ELEVEN_COMMIT_STRATEGY === 'manual' && STT_PROVIDER === 'elevenlabs';
+const useVad = VAD === 'true' || manualCommit;
+const recordCalls = RECORDING === 'true';
+const recordingsDir = RECORDINGS_DIR || `${DATA_DIR}/recordings`;
+// Only the ElevenLabs agent speaks for itself; other brains are voiced through TTS
+const useAgentAudio = streamPlayback && ELEVEN_AGENT_AUDIO === 'true' && AGENT_PROVIDER === 'elevenlabs';
+// Scribe works out each leg's language instead of being told one
+const languageDetection = LANGUAGE_DETECTION === 'true';
+// Answers are followed by a short translation for everyone listening in another language
+const roomTranslation = languageDetection && TRANSLATE_FOR_ROOM === 'true';
 
 const app = express();
 app.use(bodyParser.urlencoded({ extended: false }));
-app.use(bodyParser.json());
+app.use(bodyParser.json({ verify: (req, _res, buf) => { req.rawBody = buf; } }));
+
+const AUDIO_URL_TTL_MS = 5 * 60 * 1000;
+const MEDIA_TOKEN_TTL_MS = 5 * 60 * 1000;
+// Random per process unless configured, which is fine while audio and streams live in memory
+const urlSigner = createSigner(URL_SIGNING_SECRET);
+const twilioWebhook = twilioSignature({
+  authToken: TWILIO_AUTH_TOKEN,
+  baseUrl: PUBLIC_BASE_URL,
+  enabled: TWILIO_VALIDATE_SIGNATURES !== 'false',
+});
+const toolWebhook = toolAuth({ secret: TOOL_SECRET, required: REQUIRE_TOOL_AUTH !== 'false' });
+const dialPolicy = { allow: compileNumberPatterns(DIAL_ALLOWLIST), deny: compileNumberPatterns(DIAL_DENYLIST) };
 
-const twilioClient = TWILIO_ACCOUNT_SID && TWILIO_AUTH_TOKEN ? twilio(TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN) : null;
+const store = await createStore(STORE_DRIVER, { dir: DATA_DIR });
+const reconnect = {
+  minMs: Number(RECONNECT_MIN_MS) || 500,
+  maxMs: Number(RECONNECT_MAX_MS) || 15000,
+  maxAttempts: Number(RECONNECT_MAX_ATTEMPTS) || Infinity,
+};
+const sttBuffer = { reconnect, bufferMs: Number(STT_BUFFER_MS) || 0, bufferMaxAgeMs: Number(STT_BUFFER_MAX_AGE_MS) || 10000 };
+const providers = await createProviders({
+  transcriber: STT_PROVIDER,
+  agent: AGENT_PROVIDER,
+  synthesizer: TTS_PROVIDER,
+  options: {
+    transcriber: {
+      elevenlabs: {
+        url: ELEVEN_WS_URL,
+        apiKey: ELEVEN_API_KEY,
+        sampleRate: Number(ELEVEN_SAMPLE_RATE) || 8000,
+        modelId: ELEVEN_MODEL_ID,
+        audioFormat: 'ulaw_8000',
+        languageCode: languageDetection ? undefined : ELEVEN_LANGUAGE_CODE || undefined,
+        commitStrategy: ELEVEN_COMMIT_STRATEGY || 'vad',
+        includeTimestamps: false,
+        includeLanguageDetection: languageDetection,
+        startPayload: parseStartPayload(ELEVEN_START_MESSAGE),
+        ...sttBuffer,
+      },
+      vosk: { url: VOSK_URL, ...sttBuffer },
+    },
+    agent: {
+      elevenlabs: { apiKey: ELEVEN_API_KEY, agentId: ELEVEN_AGENT_ID, baseUrl: ELEVEN_API_BASE.replace('https://', 'wss://'), reconnect },
+      openai: {
+        baseUrl: OPENAI_BASE_URL,
+        apiKey: OPENAI_API_KEY,
+        model: OPENAI_MODEL,
+        systemPrompt: OPENAI_SYSTEM_PROMPT || undefined,
+        temperature: OPENAI_TEMPERATURE ? Number(OPENAI_TEMPERATURE) : undefined,
+      },
+    },
+    synthesizer: {
+      elevenlabs: {
+        apiKey: ELEVEN_API_KEY,
+        baseUrl: ELEVEN_API_BASE,
+        voiceId: ELEVEN_VOICE_ID,
+        modelId: ELEVEN_TTS_MODEL_ID,
+        multilingualModelId: ELEVEN_TTS_MULTILINGUAL_MODEL_ID,
+        languageCode: ELEVEN_TTS_LANGUAGE_CODE || undefined,
+      },
+      http: { url: TTS_HTTP_URL, voice: TTS_HTTP_VOICE, language: TTS_HTTP_LANGUAGE },
+    },
+  },
+});
+const synthesizer = providers.synthesizer.create();
+const profiles = new ProfileRegistry({ file: PROFILES_FILE }).load().watch();
+const contacts = new ContactDirectory({ file: CONTACTS_FILE }).load().watch();
+const profileSynthesizers = new WeakMap(); // profile -> synthesizer speaking with its voice
+const recapDeliverers = createRecapDeliverers({
+  targets: RECAP_DELIVERY,
+  webhookUrl: RECAP_WEBHOOK_URL,
+  smtpUrl: RECAP_SMTP_URL,
+  emailFrom: RECAP_EMAIL_FROM,
+  emailTo: RECAP_EMAIL_TO,
+  dir: RECAP_DIR || `${DATA_DIR}/recaps`,
+});
+const twilioClient = TWILIO_ACCOUNT_SID && TWILIO_AUTH_TOKEN
+  ? twilio(TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_API_BASE ? { httpClient: rebasedHttpClient(TWILIO_API_BASE) } : {})
+  : null;
 const callMeta = new Map();
-const audioStore = new Map(); // id -> Buffer
-const lastWake = new Map(); // callSid -> timestamp
-const agentClients = new Map(); // callSid -> ElevenLabsAgentClient
+const audioStore = new Map(); // id -> { audio, contentType } from the synthesizer
+const wakeMatchers = new Map(); // conferenceName -> WakeMatcher overriding the global phrases
+const turnTakers = new Map(); // conferenceName -> TurnTaker
+const agentSessions = new AgentSessionRegistry(); // conferenceName -> shared agent conversation
+const transcripts = new Map(); // conferenceName -> ConferenceTranscript
+const agentLegs = new Map(); // conferenceName -> AgentMediaLeg
+const pendingAgentLegs = new Map(); // one-time DTMF code -> { conferenceName, at } awaiting its loopback call
+const agentLegCallSids = new Set(); // conference-side call SIDs of agent legs
+const activeAnnounces = new Map(); // conferenceName -> { confSid, until } for announce-mode playback
+const bargeIns = new Map(); // conferenceName -> timestamp of the last interruption
+const mediaStreams = new Map(); // callSid -> media socket state, while the stream is open
+const recorders = new Map(); // conferenceName -> ConferenceRecorder while the conference runs
+const conferenceProfiles = new Map(); // conferenceName -> profile it started with, kept across reloads
+const playbacks = new Map(); // conferenceName -> PlaybackQueue of the agent's speech
+const agentAudioTakes = new Map(); // conferenceName -> μ-law chunks of the agent's own voice for the current answer
+const incidents = new Map(); // conferenceName -> { alert, profile, openedAt, escalation } for alert-opened bridges
+const translators = new Map(); // conferenceName -> { agent, queue } conversation used for TRANSLATE_FOR_ROOM
+const feed = new EventFeed();
+const tools = new ToolRegistry({ gate: REQUIRE_VOICE_CONFIRMATION === 'false' ? null : confirmToolCall });
+registerTools(tools);
+tools.retag(parseJsonEnv('ACTION_RISK', ACTION_RISK) || {});
+const confirmations = new ConfirmationGate({
+  timeoutMs: Number(CONFIRM_TIMEOUT_MS) || 30000,
+  confirmPhrases,
+  cancelPhrases,
+  onExpire: entry => {
+    record(entry.confKey, 'confirmation', { decision: 'expired', description: entry.description, requestedBy: entry.requestedBy, ...entry.details });
+    speakToConference(entry.confKey, `No confirmation heard, so I won't ${lowerFirst(entry.description)}.`)
+      .catch(e => log.error('playback error', { conference: entry.confKey, err: e }));
+  },
+});
 
-app.get('/health', (_req, res) => res.send('ok'));
+// Always 200: a provider outage shows up as "degraded" rather than getting the process restarted mid-call
+app.get('/health', (_req, res) => res.json(healthReport()));
 
-app.post('/voice/inbound', (req, res) => {
-  console.log('voice/inbound', req.body);
-  const { CallSid, From } = req.body;
-  const confName = CallSid || 'conference';
-  callMeta.set(CallSid, { from: From, conferenceSid: null, conferenceName: confName });
+app.get('/metrics', (_req, res) => res.type('text/plain; version=0.0.4').send(registry.render()));
 
-  const twiml = new twilio.twiml.VoiceResponse();
-  twiml.say('Connecting you now.');
-  if (PUBLIC_WS_URL) {
-    const stream = twiml.start().stream({ url: PUBLIC_WS_URL, track: 'inbound_track' });
-    stream.parameter({ name: 'callSid', value: CallSid });
-    stream.parameter({ name: 'from', value: From || 'unknown' });
-    stream.parameter({ name: 'conferenceName', value: confName });
+app.post('/voice/inbound', twilioWebhook, (req, res) => {
+  log.info('voice/inbound', { callSid: req.body.CallSid, body: req.body });
+  const { CallSid, From, To } = req.body;
+  // The agent leg dials our own number and keys in the code it was dialed with, which says which
+  // conference the stream is for (see /voice/agent-leg)
+  if (streamPlayback && pendingAgentLegs.size && From === TWILIO_NUMBER && To === (AGENT_LEG_NUMBER || TWILIO_NUMBER)) {
+    return res.type('text/xml').send(agentLegGatherTwiml());
   }
-  twiml.dial().conference(
-    {
-      statusCallback: PUBLIC_BASE_URL ? `${PUBLIC_BASE_URL}/conf-events` : undefined,
-      statusCallbackEvent: 'start end join leave',
-      statusCallbackMethod: 'POST',
-    },
-    confName,
-  );
+  const profile = profiles.forNumber(To);
+  // A number shared between tenants picks the profile by PIN instead
+  if (!profile && profiles.hasPins) return res.type('text/xml').send(pinGatherTwiml(1));
+  res.type('text/xml').send(joinConferenceTwiml(req.body, profile));
+});
 
+// The agent leg's code: a match is answered with a bidirectional stream for its conference
+app.post('/voice/agent-leg', twilioWebhook, (req, res) => {
+  const pending = takePendingAgentLeg(req.body.Digits);
+  if (pending) return res.type('text/xml').send(agentLegTwiml(pending.conferenceName));
+  log.warn('agent leg code not recognized', { callSid: req.body.CallSid });
+  const twiml = new twilio.twiml.VoiceResponse();
+  twiml.hangup();
   res.type('text/xml').send(twiml.toString());
 });
 
-app.post('/conf-events', (req, res) => {
-  console.log('conf-events', req.body);
-  const { CallSid, ConferenceSid } = req.body;
+app.post('/voice/pin', twilioWebhook, (req, res) => {
+  log.info('voice/pin', { callSid: req.body.CallSid, body: req.body });
+  const attempt = Number(req.query.attempt) || 1;
+  const profile = profiles.forPin(req.body.Digits);
+  if (!profile && attempt < (Number(PROFILE_PIN_ATTEMPTS) || 3)) {
+    return res.type('text/xml').send(pinGatherTwiml(attempt + 1, req.body.Digits ? 'That PIN was not recognized.' : null));
+  }
+  if (!profile) log.warn('no profile for PIN, joining with defaults', { callSid: req.body.CallSid });
+  res.type('text/xml').send(joinConferenceTwiml(req.body, profile));
+});
+
+app.post('/conf-events', twilioWebhook, (req, res) => {
+  log.info('conf-events', { callSid: req.body.CallSid, conference: req.body.FriendlyName, body: req.body });
+  const { CallSid, ConferenceSid, FriendlyName, StatusCallbackEvent } = req.body;
   if (CallSid && callMeta.has(CallSid)) {
     callMeta.set(CallSid, { ...callMeta.get(CallSid), conferenceSid: ConferenceSid });
   }
+  const confKey = FriendlyName || conferenceKey(CallSid);
+  const isAgentLeg = req.body.ParticipantLabel === 'agent' || agentLegCallSids.has(CallSid);
+  recordConferenceEvent(confKey, StatusCallbackEvent, {
+    callSid: CallSid,
+    conferenceSid: ConferenceSid,
+    speaker: isAgentLeg ? 'agent' : callMeta.get(CallSid)?.from,
+  });
+  if (StatusCallbackEvent === 'conference-start' && streamPlayback) {
+    ensureAgentLeg(confKey).catch(e => log.warn('agent leg join failed', { conference: confKey, err: e.message }));
+  } else if (StatusCallbackEvent === 'participant-join' && !isAgentLeg) {
+    agentSessions.join(confKey, CallSid);
+    if (incidents.has(confKey)) {
+      briefParticipant(confKey, CallSid).catch(e => log.error('incident briefing failed', { callSid: CallSid, conference: confKey, err: e }));
+    }
+  } else if (StatusCallbackEvent === 'participant-leave' && !isAgentLeg) {
+    if (agentSessions.leave(confKey, CallSid)) hangupAgentLeg(confKey);
+  } else if (StatusCallbackEvent === 'conference-end') {
+    agentSessions.end(confKey);
+    hangupAgentLeg(confKey);
+    transcripts.delete(confKey);
+    wakeMatchers.delete(confKey);
+    turnTakers.get(confKey)?.close();
+    turnTakers.delete(confKey);
+    playbacks.get(confKey)?.clear('conference ended');
+    playbacks.delete(confKey);
+    agentAudioTakes.delete(confKey);
+    translators.get(confKey)?.agent.close();
+    translators.delete(confKey);
+    incidents.get(confKey)?.escalation.cancel();
+    finishRecording(confKey).catch(e => log.error('recording finish failed', { conference: confKey, err: e }));
+    // Give Scribe a moment to commit the last utterances before summarizing
+    if (RECAP !== 'false') {
+      setTimeout(() => produceRecap(confKey)
+        .catch(e => log.error('recap error', { conference: confKey, err: e }))
+        .finally(() => {
+          conferenceProfiles.delete(confKey);
+          incidents.delete(confKey);
+        }), 5000);
+    } else {
+      conferenceProfiles.delete(confKey);
+      incidents.delete(confKey);
+    }
+  }
+  publishState();
   res.sendStatus(200);
 });
 
-app.post('/add-participant', async (req, res) => {
-  console.log('add-participant', req.body);
-  if (!twilioClient) return res.status(400).json({ error: 'Twilio client not configured' });
-  const { to, conferenceSid, conferenceName } = req.body;
-  if (!to || !conferenceSid) return res.status(400).json({ error: 'to and conferenceSid required' });
+app.post('/add-participant', toolWebhook, async (req, res) => {
+  log.info('add-participant', { body: req.body });
+  try {
+    res.json(await tools.call('add_participant', req.body, { source: 'webhook' }));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
 
-  // Get actual conference friendly name if not provided
-  let actualConfName = conferenceName;
-  if (!actualConfName && conferenceSid) {
-    try {
-      const conf = await twilioClient.conferences(conferenceSid).fetch();
-      actualConfName = conf.friendlyName;
-      console.log('fetched conference friendlyName', { conferenceSid, actualConfName });
-    } catch (e) {
-      console.warn('could not fetch conference friendlyName, using conferenceSid', e.message);
-      actualConfName = conferenceSid;
-    }
+// Client tool definitions, for setting up the agent's client tools to match
+app.get('/tools', toolWebhook, (_req, res) => res.json(tools.list()));
+
+// Alertmanager or PagerDuty webhook: opens a bridge for the alert and pages the on-call rotation into it.
+// ?profile=name takes the rotation, agent and voice from a tenant profile.
+app.post('/incidents', toolWebhook, async (req, res) => {
+  log.info('incident webhook', { body: req.body });
+  try {
+    const { status, ...result } = await openIncident(req.body, req.query.profile);
+    res.status(status).json(result);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
   }
+});
+
+app.get('/incidents', toolWebhook, (_req, res) => {
+  res.json([...incidents.entries()].map(([conference, incident]) => ({
+    conference,
+    alert: incident.alert,
+    profile: incident.profile?.name || null,
+    openedAt: incident.openedAt,
+    escalation: incident.escalation.snapshot(),
+  })));
+});
 
+// Gather action on a page: 1 joins the bridge, anything else hangs up and the escalation moves on
+app.post('/incidents/answer', twilioWebhook, (req, res) => {
+  const { CallSid, Digits } = req.body;
+  const incident = incidentForCall(CallSid);
   const twiml = new twilio.twiml.VoiceResponse();
-  if (PUBLIC_WS_URL) {
-    const stream = twiml.start().stream({ url: PUBLIC_WS_URL, track: 'inbound_track' });
-    stream.parameter({ name: 'from', value: to });
-    stream.parameter({ name: 'conferenceSid', value: conferenceSid });
-    stream.parameter({ name: 'conferenceName', value: actualConfName });
+  if (Digits === '1' && incident?.escalation.accepted(CallSid)) {
+    const meta = callMeta.get(CallSid);
+    return res.type('text/xml').send(dialedLegTwiml({ from: meta.from, conferenceName: meta.conferenceName, statusCallback: true }));
+  }
+  twiml.say(Digits === '1' ? 'This page is no longer active. Goodbye.' : 'Goodbye.');
+  twiml.hangup();
+  res.type('text/xml').send(twiml.toString());
+});
+
+app.post('/incidents/call-status', twilioWebhook, (req, res) => {
+  const { CallSid, CallStatus } = req.body;
+  const escalation = incidentForCall(CallSid)?.escalation;
+  if (escalation?.state === 'dialing') {
+    record(conferenceKey(CallSid), 'incident', { status: 'missed', to: escalation.current.number, attempt: escalation.current.attempt, callStatus: CallStatus });
+    escalation.ended(CallSid, CallStatus);
   }
-  twiml.dial().conference(actualConfName);
+  res.sendStatus(200);
+});
 
+// Participant management tool webhooks; conference is given as conferenceSid or conferenceName
+const toolRoute = name => async (req, res) => {
+  log.info(req.path, { body: req.body });
   try {
-    const call = await twilioClient.calls.create({
-      to,
-      from: TWILIO_NUMBER,
-      twiml: twiml.toString(),
+    res.json(await tools.call(name, req.body, { source: 'webhook' }));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+};
+
+app.post('/list-participants', toolWebhook, toolRoute('list_participants'));
+app.post('/mute-participant', toolWebhook, toolRoute('mute_participant'));
+app.post('/unmute-participant', toolWebhook, toolRoute('unmute_participant'));
+app.post('/hold-participant', toolWebhook, toolRoute('hold_participant'));
+app.post('/unhold-participant', toolWebhook, toolRoute('unhold_participant'));
+app.post('/remove-participant', toolWebhook, toolRoute('remove_participant'));
+app.post('/end-conference', toolWebhook, toolRoute('end_conference'));
+
+// The dashboard can speak into and hang up live calls, so it only exists behind a password
+if (DASHBOARD_PASSWORD) {
+  mountDashboard(app, {
+    feed,
+    middleware: [basicAuth({ password: DASHBOARD_PASSWORD })],
+    snapshot: dashboardSnapshot,
+    actions: { speak: speakToConference, hangup: hangupLeg },
+  });
+} else {
+  log.warn('dashboard disabled: DASHBOARD_PASSWORD not set');
+}
+
+mountMcp(app, {
+  middleware: [toolWebhook],
+  controls: {
+    resolveConference,
+    addParticipant: args => tools.call('add_participant', args, { source: 'mcp', conference: args.conferenceName, conferenceSid: args.conferenceSid }),
+    removeParticipant: (ref, who) => tools.call('remove_participant', { ...conferenceParams(ref), participant: who }, { source: 'mcp' }),
+    setParticipantMuted: (ref, who, muted) => tools.call(muted ? 'mute_participant' : 'unmute_participant', { ...conferenceParams(ref), participant: who }, { source: 'mcp' }),
+    setParticipantHold: (ref, who, hold) => tools.call(hold ? 'hold_participant' : 'unhold_participant', { ...conferenceParams(ref), participant: who }, { source: 'mcp' }),
+    endConference: ref => tools.call('end_conference', conferenceParams(ref), { source: 'mcp' }),
+    listParticipants: ref => tools.call('list_participants', conferenceParams(ref), { source: 'mcp' }),
+    getRecentTranscript,
+    speakToConference,
+  },
+});
+
+app.get('/conferences', toolWebhook, async (_req, res) => {
+  try {
+    res.json(await store.listConferences());
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/conferences/:id', toolWebhook, async (req, res) => {
+  try {
+    const conference = await store.getConference(req.params.id);
+    if (!conference) return res.status(404).json({ error: 'conference not found' });
+    res.json(conference);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/conferences/:id/transcript', toolWebhook, async (req, res) => {
+  try {
+    const conference = await store.getConference(req.params.id);
+    if (!conference) return res.status(404).json({ error: 'conference not found' });
+    const lines = await store.getEvents(req.params.id, { types: ['transcript'] });
+    const format = req.query.format || 'json';
+    if (format === 'text') return res.type('text/plain').send(`${formatLines(lines)}\n`);
+    if (format === 'vtt') return res.type('text/vtt').send(formatVtt(lines, conference.startedAt || conference.createdAt));
+    res.json(lines);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/conferences/:id/events', toolWebhook, async (req, res) => {
+  try {
+    const conference = await store.getConference(req.params.id);
+    if (!conference) return res.status(404).json({ error: 'conference not found' });
+    const types = req.query.type ? String(req.query.type).split(',') : undefined;
+    res.json(await store.getEvents(req.params.id, { types }));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Replaces a conference's wake phrases: { phrases: ["hey sre", { phrase, aliases: [...] }] };
+// an empty list goes back to the profile's, the number's or the global phrases
+app.post('/conferences/:id/wake-phrases', toolWebhook, async (req, res) => {
+  const phrases = req.body?.phrases;
+  if (!Array.isArray(phrases)) return res.status(400).json({ error: 'phrases array required' });
+  try {
+    const conference = await store.getConference(req.params.id);
+    if (!conference) return res.status(404).json({ error: 'conference not found' });
+    const override = phrases.length ? phrases : profileFor(req.params.id)?.wakePhrases || wakeByNumber[conference.dialed] || null;
+    if (override) wakeMatchers.set(req.params.id, createWakeMatcher(override));
+    else wakeMatchers.delete(req.params.id);
+    await store.upsertConference(req.params.id, { wakePhrases: override });
+    res.json({ conference: req.params.id, phrases: (override ? wakeMatchers.get(req.params.id) : globalWake).phrases });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// What the agent is saying and has lined up to say in a live conference
+app.get('/conferences/:id/playback', toolWebhook, (req, res) => {
+  const queue = playbacks.get(req.params.id);
+  if (!queue) return res.status(404).json({ error: 'no playback for conference' });
+  res.json({ conference: req.params.id, ...queue.snapshot() });
+});
+
+app.delete('/conferences/:id/playback', toolWebhook, (req, res) => {
+  const queue = playbacks.get(req.params.id);
+  if (!queue) return res.status(404).json({ error: 'no playback for conference' });
+  res.json({ conference: req.params.id, cancelled: queue.clear('cancelled by api') });
+});
+
+app.delete('/conferences/:id/playback/:item', toolWebhook, (req, res) => {
+  const queue = playbacks.get(req.params.id);
+  if (!queue?.cancel(req.params.item, 'cancelled by api')) return res.status(404).json({ error: 'queued item not found' });
+  res.json({ conference: req.params.id, cancelled: req.params.item });
+});
+
+app.get('/conferences/:id/recap', toolWebhook, async (req, res) => {
+  try {
+    const conference = await store.getConference(req.params.id);
+    if (!conference?.recap) return res.status(404).json({ error: 'recap not found' });
+    if (req.query.format === 'markdown') return res.type('text/markdown').send(recapToMarkdown(conference, conference.recap));
+    res.json(conference.recap);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Recordings are served only once listed on the conference, i.e. after it ended and the mix was written
+app.get('/conferences/:id/recordings', toolWebhook, async (req, res) => {
+  try {
+    const conference = await store.getConference(req.params.id);
+    if (!conference) return res.status(404).json({ error: 'conference not found' });
+    res.json({ conference: req.params.id, recording: recorders.has(req.params.id), recordings: conference.recordings || [] });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.get('/conferences/:id/recordings/:name', toolWebhook, async (req, res) => {
+  try {
+    const conference = await store.getConference(req.params.id);
+    const listed = conference?.recordings?.some(r => r.name === req.params.name);
+    const file = listed && recordingPath(recordingsDir, req.params.id, req.params.name);
+    if (!file) return res.status(404).json({ error: 'recording not found' });
+    res.type('audio/wav').sendFile(path.resolve(file), err => {
+      if (err && !res.headersSent) res.status(404).json({ error: 'recording not found' });
     });
-    // Pre-populate callMeta for this outbound leg
-    callMeta.set(call.sid, { from: to, conferenceSid, conferenceName: actualConfName });
-    console.log('add-participant success', { callSid: call.sid, to, actualConfName });
-    res.json({ callSid: call.sid, conferenceName: actualConfName });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
+app.delete('/conferences/:id/recordings', toolWebhook, async (req, res) => {
+  try {
+    const conference = await store.getConference(req.params.id);
+    if (!conference) return res.status(404).json({ error: 'conference not found' });
+    if (recorders.has(req.params.id)) return res.status(409).json({ error: 'conference is still recording' });
+    await deleteRecordings(recordingsDir, req.params.id);
+    await store.upsertConference(req.params.id, { recordings: [], recordingsDeletedAt: Date.now() });
+    record(req.params.id, 'recording', { deleted: true });
+    res.json({ conference: req.params.id, deleted: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+if (Number(RECORDING_RETENTION_DAYS) > 0) {
+  const sweep = () => sweepExpiredRecordings().catch(e => log.warn('recording sweep failed', { err: e.message }));
+  sweep();
+  setInterval(sweep, 60 * 60 * 1000).unref();
+}
+
 const server = app.listen(PORT, () => {
-  console.log(`twilio agent listening on ${PORT}`);
+  log.info('twilio agent listening', { port: Number(PORT) });
 });
 
 const wss = new WebSocketServer({ noServer: true });
+const agentWss = new WebSocketServer({ noServer: true });
 
+// Stream URLs carry a signed token in the path (/media/<token>); Twilio doesn't allow query strings there
 server.on('upgrade', (req, socket, head) => {
-  if (req.url?.startsWith('/media')) {
-    console.log('upgrade request', req.url);
+  const [, route, token] = new URL(req.url || '/', 'http://localhost').pathname.split('/');
+  if (route === 'agent-media' && urlSigner.verify(route, token)) {
+    log.debug('agent upgrade request', { url: req.url });
+    agentWss.handleUpgrade(req, socket, head, ws => agentWss.emit('connection', ws, req));
+  } else if (route === 'media' && urlSigner.verify(route, token)) {
+    log.debug('upgrade request', { url: req.url });
     wss.handleUpgrade(req, socket, head, ws => wss.emit('connection', ws, req));
   } else {
+    log.warn('upgrade rejected', { route });
+    socket.write('HTTP/1.1 401 Unauthorized\r\n\r\n');
     socket.destroy();
   }
 });
@@ -141,38 +644,29 @@ wss.on('connection', (ws, req) => {
   const params = new URLSearchParams(req.url?.split('?')[1] || '');
   const callSid = params.get('callSid');
   const from = params.get('from') || callMeta.get(callSid)?.from || 'unknown';
-  console.log('media websocket connected', { callSid, from, rawUrl: req.url });
-  const eleven = ELEVEN_WS_URL && ELEVEN_API_KEY
-    ? new ElevenLabsClient({
-        url: ELEVEN_WS_URL,
-        apiKey: ELEVEN_API_KEY,
-        sampleRate: Number(ELEVEN_SAMPLE_RATE) || 8000,
-        modelId: ELEVEN_MODEL_ID,
-        wakePhrases: wakeList,
-        audioFormat: 'ulaw_8000',
-        languageCode: ELEVEN_LANGUAGE_CODE || undefined,
-        commitStrategy: ELEVEN_COMMIT_STRATEGY || 'vad',
-        includeTimestamps: false,
-        includeLanguageDetection: false,
-        startPayload: parsedStartPayload,
-      })
-    : null;
-
-  const state = { callSid, from, eleven };
-
-  eleven?.onTranscript(text => handleTranscript(state, text));
-  eleven?.onWake((text, isCommitted) => handleWake(state, text, isCommitted).catch(err => console.error('handleWake error', err)));
+  log.info('media websocket connected', { callSid, from });
+  const vad = useVad ? createVad() : null;
+  // The transcriber waits for the start message, which says which conference (and profile) this is
+  const state = {
+    callSid,
+    from,
+    transcriber: null,
+    vad,
+    // Who the number belongs to, for transcripts, events and the agent; looked up each time so a
+    // contacts reload applies to calls already on the bridge
+    get speaker() {
+      return contacts.displayName(this.from);
+    },
+  };
 
   ws.on('message', async raw => {
-    // console.log(`raw message: ${raw.toString()}`);
     let msg;
     try {
       msg = JSON.parse(raw.toString());
     } catch {
-      console.warn('ws message json parse error', raw.toString().slice(0, 200));
+      log.warn('ws message json parse error', { callSid: state.callSid, raw: raw.toString().slice(0, 200) });
       return;
     }
-    // console.log('ws event', { event: msg.event, hasMedia: !!msg.media, payloadLen: msg.media?.payload?.length });
     if (msg.event === 'start') {
       if (!state.callSid && msg.start?.callSid) {
         state.callSid = msg.start.callSid;
@@ -194,227 +688,1615 @@ wss.on('connection', (ws, req) => {
           conferenceName: customParams.conferenceName || existing.conferenceName || state.callSid,
         });
       }
+      mediaStreams.set(state.callSid, state);
+      if (recordCalls) state.recording = recorderFor(conferenceKey(state.callSid)).startLeg(state.callSid, { speaker: state.speaker });
+      state.transcriber = createTranscriber(state);
+      publishState();
       try {
-        await eleven?.connect();
-        console.log('media start', { callSid: state.callSid, from: state.from, streamSid: msg.start?.streamSid, customParams });
+        await state.transcriber?.connect();
+        legLog(state).info('media start', { from: state.from, streamSid: msg.start?.streamSid, customParams });
       } catch (err) {
-        console.error('elevenlabs connect error', err);
+        log.error('transcriber connect error', { callSid: state.callSid, err });
       }
     } else if (msg.event === 'media') {
       if (!msg.media?.payload) return;
       const mulaw = Buffer.from(msg.media.payload, 'base64');
-      eleven?.sendAudio(mulaw);
-      // console.log('media frame sent', { callSid: state.callSid, from: state.from, bytes: mulaw.length });
+      state.recording?.write(mulaw, Number(msg.media.timestamp));
+      if (!vad) {
+        state.transcriber?.sendAudio(mulaw);
+        return;
+      }
+      const { event, frames } = vad.push(mulaw);
+      for (const frame of frames) state.transcriber?.sendAudio(frame);
+      if (event) handleVoiceActivity(state, event);
     } else if (msg.event === 'stop') {
-      eleven?.close();
+      state.transcriber?.close();
       ws.close();
-      console.log('media stop', { callSid: state.callSid, from: state.from });
+      log.info('media stop', { callSid: state.callSid, from: state.from });
     }
   });
 
   ws.on('close', () => {
-    eleven?.close();
-    const agent = agentClients.get(state.callSid);
-    if (agent) {
-      agent.close();
-      agentClients.delete(state.callSid);
+    state.transcriber?.close();
+    state.recording?.close().catch(e => log.warn('recording close failed', { callSid: state.callSid, err: e.message }));
+    if (mediaStreams.get(state.callSid) === state) mediaStreams.delete(state.callSid);
+    publishState();
+    // Without conference status callbacks the media socket is the only leave signal we get
+    if (!PUBLIC_BASE_URL && agentSessions.leave(conferenceKey(state.callSid), state.callSid)) {
+      finishRecording(conferenceKey(state.callSid)).catch(e => log.error('recording finish failed', { conference: conferenceKey(state.callSid), err: e }));
     }
-    console.log('media websocket closed', { callSid: state.callSid, from: state.from });
+    log.info('media websocket closed', { callSid: state.callSid, from: state.from });
   });
 
   ws.on('error', err => {
-    console.error('media websocket error', { callSid: state.callSid, from: state.from, err });
+    log.error('media websocket error', { callSid: state.callSid, from: state.from, err });
+  });
+});
+
+agentWss.on('connection', ws => {
+  let leg = null;
+  ws.on('message', raw => {
+    let msg;
+    try {
+      msg = JSON.parse(raw.toString());
+    } catch {
+      return;
+    }
+    if (msg.event === 'start') {
+      const confName = msg.start?.customParameters?.conferenceName;
+      leg = agentLegs.get(confName) || new AgentMediaLeg({ conferenceName: confName });
+      agentLegs.set(confName, leg);
+      leg.attach(ws, msg.start.streamSid);
+    } else if (msg.event === 'mark') {
+      leg?.handleMessage(msg);
+    } else if (msg.event === 'stop') {
+      ws.close();
+    }
   });
+  ws.on('close', () => {
+    if (!leg) return;
+    leg.detach();
+    // Forget a dropped leg so the next utterance dials a fresh one
+    if (agentLegs.get(leg.conferenceName) === leg) agentLegs.delete(leg.conferenceName);
+    if (leg.callSid) agentLegCallSids.delete(leg.callSid);
+    log.info('agent leg closed', { conference: leg.conferenceName });
+  });
+  ws.on('error', err => log.error('agent media websocket error', { conference: leg?.conferenceName, err }));
 });
 
-function handleTranscript(state, text) {
-  console.log(`[transcript ${state.from || state.callSid}] ${text}`);
+function createTranscriber(state) {
+  if (!providers.transcriber.configured) return null;
+  const language = profileFor(conferenceKey(state.callSid))?.language;
+  const transcriber = providers.transcriber.create(language && !languageDetection ? { languageCode: language } : {});
+  transcriber.onTranscript((text, isCommitted, info = {}) => {
+    if (isCommitted && languageDetection) detectedLanguage(state, info.languageCode);
+    // From the first partial of an utterance to its commit
+    if (!isCommitted) state.commitTimer ??= stageSeconds.startTimer({ stage: 'stt_commit' });
+    else {
+      state.commitTimer?.();
+      state.commitTimer = null;
+    }
+    handleTranscript(state, text, isCommitted);
+    const wake = wakeMatcherFor(state.callSid).match(text);
+    if (wake) legLog(state).debug('wake phrase hit', { text, ...wake, committed: isCommitted });
+    const decision = turnsFor(conferenceKey(state.callSid)).onTranscript(state.callSid, text, isCommitted, wake);
+    if (decision) handleTurn(state, decision);
+  });
+  transcriber.onStatus?.((status, info) => {
+    legLog(state).warn('transcriber connection', { status, ...info });
+    record(conferenceKey(state.callSid), 'connection', { component: 'transcriber', callSid: state.callSid, speaker: state.speaker, status, ...info });
+    publishState();
+  });
+  return transcriber;
+}
+
+// Kept on the leg's media state; replies to this speaker are spoken in it
+function detectedLanguage(state, code) {
+  const language = normalizeLanguage(code);
+  if (!language || language === state.language) return;
+  const previous = state.language || null;
+  state.language = language;
+  legLog(state).info('language detected', { speaker: state.speaker, language, previous });
+  record(conferenceKey(state.callSid), 'language', { callSid: state.callSid, speaker: state.speaker, language, previous });
+  publishState();
 }
 
-const partialWakeTimers = new Map(); // callSid -> { timer, text }
+function mediaStreamUrl() {
+  return `${PUBLIC_WS_URL.replace(/\/$/, '')}/${urlSigner.sign('media', MEDIA_TOKEN_TTL_MS)}`;
+}
 
-async function handleWake(state, text, isCommitted = true) {
-  const now = Date.now();
-  const last = lastWake.get(state.callSid) || 0;
-  if (now - last < 8000) return; // throttle duplicate triggers
+function agentMediaUrl() {
+  const u = new URL(PUBLIC_WS_URL);
+  u.pathname = `/agent-media/${urlSigner.sign('agent-media', MEDIA_TOKEN_TTL_MS)}`;
+  return u.toString();
+}
 
-  // For partials, delay trigger and reset timer on each new partial (user still speaking)
-  if (!isCommitted) {
-    const existing = partialWakeTimers.get(state.callSid);
-    if (existing) clearTimeout(existing.timer);
-    const timer = setTimeout(() => {
-      const pending = partialWakeTimers.get(state.callSid);
-      partialWakeTimers.delete(state.callSid);
-      const stillThrottled = Date.now() - (lastWake.get(state.callSid) || 0) < 8000;
-      if (!stillThrottled && pending) {
-        console.log('partial wake trigger (user stopped speaking)', pending.text);
-        doWake(state, pending.text);
-      }
-    }, 2500); // wait 2.5s after last partial
-    partialWakeTimers.set(state.callSid, { timer, text });
-    return;
-  }
+// Puts an inbound caller in their own conference, set up for the profile their number or PIN chose
+function joinConferenceTwiml({ CallSid, From, To }, profile) {
+  const confName = CallSid || 'conference';
+  callMeta.set(CallSid, { from: From, conferenceSid: null, conferenceName: confName });
+  if (profile) conferenceProfiles.set(confName, profile);
+  const wakePhrases = profile?.wakePhrases || wakeByNumber[To] || null;
+  if (wakePhrases) wakeMatchers.set(confName, createWakeMatcher(wakePhrases));
+  store.upsertConference(confName, {
+    createdAt: Date.now(),
+    initiator: From || null,
+    dialed: To || null,
+    profile: profile?.name || null,
+    wakePhrases,
+  }).catch(e => log.warn('store upsert failed', { conference: confName, err: e.message }));
 
-  // Committed transcript - cancel any pending partial timer and use committed text
-  if (partialWakeTimers.has(state.callSid)) {
-    clearTimeout(partialWakeTimers.get(state.callSid).timer);
-    partialWakeTimers.delete(state.callSid);
+  const twiml = new twilio.twiml.VoiceResponse();
+  if (recordCalls && RECORDING_CONSENT_MESSAGE) twiml.say(RECORDING_CONSENT_MESSAGE);
+  twiml.say(profile?.greeting || 'Connecting you now.');
+  if (PUBLIC_WS_URL) {
+    const stream = twiml.start().stream({ url: mediaStreamUrl(), track: 'inbound_track' });
+    stream.parameter({ name: 'callSid', value: CallSid });
+    stream.parameter({ name: 'from', value: From || 'unknown' });
+    stream.parameter({ name: 'conferenceName', value: confName });
   }
-  lastWake.set(state.callSid, now);
-  await doWake(state, text);
+  twiml.dial().conference(conferenceCallbacks(), confName);
+  return twiml.toString();
 }
 
-async function doWake(state, text) {
-  lastWake.set(state.callSid, Date.now());
-  console.log(`Wake phrase from ${state.from || state.callSid}: ${text}`);
+function conferenceCallbacks() {
+  return {
+    statusCallback: PUBLIC_BASE_URL ? `${PUBLIC_BASE_URL}/conf-events` : undefined,
+    statusCallbackEvent: 'start end join leave',
+    statusCallbackMethod: 'POST',
+  };
+}
 
-  if (ELEVEN_AGENT_ID && ELEVEN_API_KEY) {
-    try {
-      let agent = agentClients.get(state.callSid);
-      if (!agent) {
-        const meta = callMeta.get(state.callSid) || {};
-        agent = new ElevenLabsAgentClient({
-          apiKey: ELEVEN_API_KEY,
-          agentId: ELEVEN_AGENT_ID,
-          baseUrl: ELEVEN_API_BASE.replace('https://', 'wss://'),
-          dynamicVariables: {
-            conference_sid: meta.conferenceSid || meta.conferenceName || state.callSid,
-            conference_name: meta.conferenceName || state.callSid,
-            caller_number: state.from || '',
-            call_sid: state.callSid || '',
-          },
-        });
-        agent.onSubsequentResponse(resp => {
-          console.log('agent subsequent response', resp);
-          respondWithTts(state.callSid, resp).catch(e => console.error('subsequent playback error', e));
-        });
-        agentClients.set(state.callSid, agent);
-        await agent.connect();
-      }
-      const userQuery = text;
-      console.log('agent query', userQuery);
-      const agentResponse = await agent.sendText(userQuery || text);
-      console.log('agent response', agentResponse);
-      if (agentResponse) {
-        await respondWithTts(state.callSid, agentResponse).catch(e => console.error('playback error', e));
-      } else {
-        await respondWithTts(state.callSid, `I'm here, but I didn't get a response. Please try again.`).catch(e => console.error('playback error', e));
-      }
-    } catch (err) {
-      console.error('agent error', err);
-      await respondWithTts(state.callSid, `Sorry, I encountered an error. Please try again.`).catch(e => console.error('playback error', e));
-    }
-  } else {
-    await respondWithTts(state.callSid, `Hello ${state.from || 'there'}, I heard your request.`).catch(e => console.error('playback error', e));
+// A leg the app dialed: consent notice, a media stream for transcription, then the conference. The
+// first leg into an incident bridge starts the conference, so it asks for the status callbacks.
+function dialedLegTwiml({ from, conferenceSid, conferenceName, statusCallback = false }) {
+  const twiml = new twilio.twiml.VoiceResponse();
+  if (recordCalls && RECORDING_CONSENT_MESSAGE) twiml.say(RECORDING_CONSENT_MESSAGE);
+  if (PUBLIC_WS_URL) {
+    const stream = twiml.start().stream({ url: mediaStreamUrl(), track: 'inbound_track' });
+    stream.parameter({ name: 'from', value: from });
+    if (conferenceSid) stream.parameter({ name: 'conferenceSid', value: conferenceSid });
+    stream.parameter({ name: 'conferenceName', value: conferenceName });
   }
+  if (statusCallback) twiml.dial().conference(conferenceCallbacks(), conferenceName);
+  else twiml.dial().conference(conferenceName);
+  return twiml.toString();
 }
 
+// Silence or a timeout falls through to the redirect, which counts as a wrong PIN
+function pinGatherTwiml(attempt, notice = null) {
+  const action = `${PUBLIC_BASE_URL || ''}/voice/pin?attempt=${attempt}`;
+  const twiml = new twilio.twiml.VoiceResponse();
+  if (notice) twiml.say(notice);
+  twiml.gather({ action, method: 'POST', input: 'dtmf', finishOnKey: '#', timeout: 8 }).say(PROFILE_PIN_PROMPT);
+  twiml.redirect({ method: 'POST' }, action);
+  return twiml.toString();
+}
 
-function parseStartPayload(raw) {
-  if (!raw) return null;
+function agentLegTwiml(conferenceName) {
+  const twiml = new twilio.twiml.VoiceResponse();
+  const stream = twiml.connect().stream({ url: agentMediaUrl() });
+  stream.parameter({ name: 'conferenceName', value: conferenceName });
+  return twiml.toString();
+}
+
+// Waits for the code the agent leg sends with sendDigits once our number answers
+function agentLegGatherTwiml() {
+  const twiml = new twilio.twiml.VoiceResponse();
+  twiml.gather({ action: `${PUBLIC_BASE_URL || ''}/voice/agent-leg`, method: 'POST', input: 'dtmf', finishOnKey: '#', timeout: 10 });
+  twiml.hangup();
+  return twiml.toString();
+}
+
+// The conference side of the agent leg, labelled so conference callbacks can tell it apart
+function agentConferenceTwiml(conferenceName) {
+  const twiml = new twilio.twiml.VoiceResponse();
+  twiml.dial().conference({ participantLabel: 'agent', beep: 'false', endConferenceOnExit: false }, conferenceName);
+  return twiml.toString();
+}
+
+function takePendingAgentLeg(code) {
+  const pending = code ? pendingAgentLegs.get(code) : null;
+  if (!pending) return null;
+  pendingAgentLegs.delete(code);
+  return Date.now() - pending.at < 60000 ? pending : null;
+}
+
+function agentLegCode() {
+  for (;;) {
+    const code = String(crypto.randomInt(0, 1e8)).padStart(8, '0');
+    if (!pendingAgentLegs.has(code)) return code;
+  }
+}
+
+async function ensureAgentLeg(confKey) {
+  const existing = agentLegs.get(confKey);
+  if (existing) return existing;
+  if (!twilioClient || !PUBLIC_WS_URL || !TWILIO_NUMBER) return null;
+  const leg = new AgentMediaLeg({ conferenceName: confKey });
+  agentLegs.set(confKey, leg);
+  // The call joins the conference itself, and keys its code into our number's side so that side
+  // streams for this conference and no other, however many agent legs are ringing at once
+  const code = agentLegCode();
+  pendingAgentLegs.set(code, { conferenceName: confKey, at: Date.now() });
   try {
-    return JSON.parse(raw);
-  } catch {
-    console.warn('ELEVEN_START_MESSAGE is not valid JSON');
+    const call = await twilioClient.calls.create({
+      from: TWILIO_NUMBER,
+      to: AGENT_LEG_NUMBER || TWILIO_NUMBER,
+      sendDigits: `ww${code}#`,
+      twiml: agentConferenceTwiml(confKey),
+    });
+    leg.callSid = call.sid;
+    agentLegCallSids.add(call.sid);
+    log.info('agent leg dialed', { conference: confKey, callSid: call.sid });
+    return leg;
+  } catch (err) {
+    log.warn('agent leg dial failed', { conference: confKey, err: err.message });
+    agentLegs.delete(confKey);
+    pendingAgentLegs.delete(code);
     return null;
   }
 }
 
-function parseWakeList(rawList, defaultPhrase) {
-  if (rawList && rawList.trim().length > 0) {
-    return rawList
-      .split(',')
-      .map(s => s.trim().toLowerCase())
-      .filter(Boolean);
+function hangupAgentLeg(confKey) {
+  const leg = agentLegs.get(confKey);
+  if (!leg) return;
+  agentLegs.delete(confKey);
+  leg.detach();
+  if (!leg.callSid) return;
+  agentLegCallSids.delete(leg.callSid);
+  twilioClient?.calls(leg.callSid).update({ status: 'completed' })
+    .catch(e => log.warn('agent leg hangup failed', { conference: confKey, callSid: leg.callSid, err: e.message }));
+}
+
+async function streamToConference(item, startedAt) {
+  const { callSid, text, wokeAt } = item;
+  // Only a leg still being dialed counts; a ready one would pile up zeros
+  const endLeg = agentLegs.get(conferenceKey(callSid))?.ready ? null : stageSeconds.startTimer({ stage: 'agent_leg' });
+  const leg = await ensureAgentLeg(conferenceKey(callSid));
+  if (!leg || !(await leg.waitReady())) return false;
+  endLeg?.();
+  const { audio } = await speechFor(item, 'mulaw');
+  if (interruptedSince(leg.conferenceName, startedAt)) {
+    log.info('respondWithTts cancelled by barge-in', { callSid, conference: leg.conferenceName });
+    publishPlayback(callSid, 'cancelled', { text });
+    return true;
   }
-  return [defaultPhrase.toLowerCase()].filter(Boolean);
+  log.info('respondWithTts streaming', { callSid, conference: leg.conferenceName, bytes: audio.length });
+  publishPlayback(callSid, 'streaming', { text });
+  speechStarted(wokeAt);
+  recorders.get(leg.conferenceName)?.addAgentAudio(decodeMulawToPcm16(audio));
+  const played = await leg.play(audio, 'tts');
+  log.info('respondWithTts stream done', { callSid, conference: leg.conferenceName, played });
+  publishPlayback(callSid, played ? 'done' : 'cleared');
+  return true;
 }
 
-async function respondWithTts(callSid, text) {
-  if (!twilioClient) {
-    console.warn('respondWithTts skipped: twilio client not configured');
-    return;
+// wokeAt: when the turn was dispatched, for the wake-to-speech latency; unset for other playback
+function speechStarted(wokeAt) {
+  if (wokeAt) stageSeconds.observe({ stage: 'wake_to_speech' }, (Date.now() - wokeAt) / 1000);
+}
+
+// Lines about one leg carry its callSid and the conference it is in now
+function legLog(state) {
+  return log.child({ callSid: state.callSid, conference: conferenceKey(state.callSid) });
+}
+
+function conferenceKey(callSid) {
+  return callMeta.get(callSid)?.conferenceName || callSid;
+}
+
+function profileFor(confKey) {
+  return conferenceProfiles.get(confKey) || null;
+}
+
+// The profile's voice, model and language over the configured synthesizer's
+function synthesizerFor(confKey) {
+  const profile = profileFor(confKey);
+  if (!profile || !(profile.voiceId || profile.ttsModelId || profile.language)) return synthesizer;
+  let tts = profileSynthesizers.get(profile);
+  if (!tts) {
+    tts = providers.synthesizer.create(withoutEmpty({
+      voiceId: profile.voiceId,
+      modelId: profile.ttsModelId,
+      languageCode: profile.language,
+      voice: profile.voiceId,
+      language: profile.language,
+    }));
+    profileSynthesizers.set(profile, tts);
   }
-  if (!PUBLIC_BASE_URL) {
-    console.warn('respondWithTts skipped: PUBLIC_BASE_URL not set');
-    return;
+  return tts;
+}
+
+function transcriptFor(callSid) {
+  const key = conferenceKey(callSid);
+  let transcript = transcripts.get(key);
+  if (!transcript) {
+    transcript = new ConferenceTranscript({ maxLines: Number(TRANSCRIPT_MAX_LINES) || 1000 });
+    transcripts.set(key, transcript);
   }
-  if (!callSid) {
-    console.warn('respondWithTts skipped: callSid missing');
+  return transcript;
+}
+
+function handleTranscript(state, text, isCommitted) {
+  legLog(state).debug('transcript', { speaker: state.speaker, committed: isCommitted, text });
+  detectBargeIn(state, text, isCommitted);
+  if (!isCommitted) {
+    feed.publish('partial', { conference: conferenceKey(state.callSid), callSid: state.callSid, speaker: state.speaker, text });
     return;
   }
-  console.log('respondWithTts start', { callSid, text });
-  const audioBuf = await synthesizeElevenlabs(text);
-  console.log('respondWithTts synthesized', { callSid, bytes: audioBuf.length });
-  const id = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
-  audioStore.set(id, audioBuf);
-  setTimeout(() => audioStore.delete(id), 5 * 60 * 1000);
-  const url = `${PUBLIC_BASE_URL}/audio/${id}.mp3`;
-  const meta = callMeta.get(callSid) || {};
-  const confName = meta.conferenceName || callSid;
-  let confSid = meta.conferenceSid;
-  
-  // Look up the active conference by name to get current SID
-  if (confName) {
-    try {
-      const conferences = await twilioClient.conferences.list({ friendlyName: confName, status: 'in-progress', limit: 1 });
-      if (conferences.length > 0) {
-        confSid = conferences[0].sid;
-        callMeta.set(callSid, { ...meta, conferenceSid: confSid });
-      }
-    } catch (e) {
-      console.warn('conference lookup failed', e.message);
-    }
-  }
-  console.log('respondWithTts playing', { callSid, url, confSid, confName });
-  
+  const line = transcriptFor(state.callSid).add({ speaker: state.speaker, callSid: state.callSid, text });
+  if (line) record(conferenceKey(state.callSid), 'transcript', line);
+  const confirmation = confirmations.match(conferenceKey(state.callSid), commandText(state.callSid, text), { callSid: state.callSid });
+  if (confirmation) resolveConfirmation(state, confirmation, text).catch(e => log.error('confirmation error', { callSid: state.callSid, err: e }));
+}
+
+function record(confKey, type, data = {}) {
+  if (!confKey) return;
+  feed.publish(type, { conference: confKey, ...data });
+  store.appendEvent(confKey, { at: Date.now(), ...data, type })
+    .catch(e => log.warn('store append failed', { conference: confKey, type, err: e.message }));
+}
+
+let participantUpdates = Promise.resolve();
+
+function publishState() {
+  feed.publish('state', { conferences: dashboardSnapshot() });
+}
+
+function publishPlayback(callSid, status, data = {}) {
+  feed.publish('playback', { conference: conferenceKey(callSid), callSid, status, ...data });
+  publishState();
+}
+
+// Active conferences: legs known from conference callbacks plus legs with an open media stream
+function dashboardSnapshot() {
+  const conferences = new Map(); // name -> Set<callSid>
+  for (const [name, members] of agentSessions.members) conferences.set(name, new Set(members));
+  for (const callSid of mediaStreams.keys()) {
+    const name = conferenceKey(callSid);
+    if (!conferences.has(name)) conferences.set(name, new Set());
+    conferences.get(name).add(callSid);
+  }
+  return [...conferences.entries()].map(([name, callSids]) => ({
+    name,
+    profile: profileFor(name)?.name || null,
+    incident: incidents.has(name) ? { title: incidents.get(name).alert.title, severity: incidents.get(name).alert.severity } : null,
+    agentSession: !!agentSessions.get(name),
+    speaking: isAgentSpeaking(name),
+    queued: playbacks.get(name)?.size || 0,
+    turn: turnTakers.get(name)?.snapshot() || { state: 'idle', engagedWith: null, engagedUntil: null },
+    agentConnection: agentSessions.get(name)?.client.health?.().state || null,
+    participants: [...callSids].map(callSid => ({
+      callSid,
+      name: callMeta.get(callSid)?.from ? contacts.displayName(callMeta.get(callSid).from) : null,
+      streaming: mediaStreams.has(callSid),
+      talking: mediaStreams.get(callSid)?.vad?.speaking || false,
+      language: mediaStreams.get(callSid)?.language || null,
+      transcriber: mediaStreams.get(callSid)?.transcriber?.health?.().state || null,
+    })),
+  }));
+}
+
+function healthReport() {
+  const streams = [...mediaStreams.values()].map(s => ({
+    callSid: s.callSid,
+    conference: conferenceKey(s.callSid),
+    speaker: s.from,
+    transcriber: s.transcriber?.health?.() || null,
+    voice: s.vad?.snapshot() || null,
+  }));
+  const agents = [...agentSessions.sessions.values()].map(session => ({
+    conference: session.key,
+    participants: session.participants.size,
+    ...session.client.health?.(),
+  }));
+  const legs = [...agentLegs.entries()].map(([conference, leg]) => ({ conference, callSid: leg.callSid, ready: leg.ready, playing: leg.playing }));
+  const states = [...streams.map(s => s.transcriber?.state), ...agents.map(a => a.state)];
+  return {
+    status: states.some(state => state === 'reconnecting' || state === 'failed') ? 'degraded' : 'ok',
+    uptimeS: Math.round(process.uptime()),
+    streams,
+    agents,
+    agentLegs: legs,
+  };
+}
+
+async function hangupLeg(callSid) {
+  if (!twilioClient) throw httpError(400, 'Twilio client not configured');
+  const confKey = conferenceKey(callSid);
+  try {
+    await twilioClient.calls(callSid).update({ status: 'completed' });
+    record(confKey, 'tool-call', { name: 'hangup', args: { callSid }, source: 'dashboard' });
+    return { callSid, hungUp: true };
+  } catch (err) {
+    record(confKey, 'tool-call', { name: 'hangup', args: { callSid }, source: 'dashboard', error: err.message });
+    throw err;
+  }
+}
+
+function recordConferenceEvent(confKey, event, data) {
+  if (!confKey || !event) return;
+  record(confKey, event, data);
+  const now = Date.now();
+  let patch = null;
+  if (event === 'conference-start') patch = { conferenceSid: data.conferenceSid, startedAt: now };
+  if (event === 'conference-end') patch = { endedAt: now };
+  if (patch) {
+    store.upsertConference(confKey, patch).catch(e => log.warn('store upsert failed', { conference: confKey, err: e.message }));
+  } else if (event === 'participant-join' || event === 'participant-leave') {
+    // Chained so back-to-back joins don't read the same participant list and drop one
+    participantUpdates = participantUpdates
+      .then(() => updateParticipants(confKey, event, data, now))
+      .catch(e => log.warn('store upsert failed', { conference: confKey, err: e.message }));
+  }
+}
+
+async function updateParticipants(confKey, event, { callSid, speaker }, at) {
+  const conference = await store.getConference(confKey);
+  const participants = (conference?.participants || []).slice();
+  if (event === 'participant-join') {
+    participants.push({ callSid, speaker, joinedAt: at, leftAt: null });
+  } else {
+    const entry = participants.findLast(p => p.callSid === callSid && !p.leftAt);
+    if (entry) Object.assign(entry, { leftAt: at });
+  }
+  await store.upsertConference(confKey, { participants });
+}
+
+function createWakeMatcher(phrases) {
+  return new WakeMatcher({
+    phrases,
+    threshold: Number(WAKE_MATCH_THRESHOLD) || 0.8,
+    phonetic: WAKE_PHONETIC !== 'false',
+  });
+}
+
+function wakeMatcherFor(callSid) {
+  return wakeMatchers.get(conferenceKey(callSid)) || globalWake;
+}
+
+function turnsFor(confKey) {
+  let turns = turnTakers.get(confKey);
+  if (!turns) {
+    turns = new TurnTaker({
+      followUpMs: Number(FOLLOWUP_WINDOW_MS) || 0,
+      followUpSpeakers: FOLLOWUP_SPEAKERS,
+      partialWaitMs: Number(WAKE_PARTIAL_WAIT_MS) || 2500,
+      commandWaitMs: Number(WAKE_COMMAND_WAIT_MS) || 6000,
+      disengagePhrases: parseWakeList(DISENGAGE_PHRASES, ''),
+      voiceActivity: useVad,
+      endOfSpeechWaitMs: Number(VAD_END_WAIT_MS) || 800,
+      speakingWaitMs: Math.max(Number(WAKE_PARTIAL_WAIT_MS) || 2500, 8000),
+      // A partial wake whose commit never came: the speaker stopped, so send what we have
+      onDispatch: decision => {
+        const state = mediaStreams.get(decision.callSid);
+        if (state) handleTurn(state, decision);
+      },
+    });
+    turnTakers.set(confKey, turns);
+  }
+  return turns;
+}
+
+// What was said after the wake phrase (or all of it without one), normalized for phrase lists
+function commandText(callSid, text) {
+  const wake = wakeMatcherFor(callSid).match(text);
+  return normalizeSpeech(wake ? wake.query : text);
+}
+
+function isStopCommand(callSid, text) {
+  return stopCommands.includes(commandText(callSid, text));
+}
+
+function isConfirmationReply(callSid, text) {
+  const t = commandText(callSid, text);
+  return confirmPhrases.includes(t) || cancelPhrases.includes(t);
+}
+
+function lowerFirst(text) {
+  return text.charAt(0).toLowerCase() + text.slice(1);
+}
+
+function isAgentSpeaking(confKey) {
+  if (agentLegs.get(confKey)?.playing) return true;
+  return (activeAnnounces.get(confKey)?.until || 0) > Date.now();
+}
+
+function interruptedSince(confKey, at) {
+  return (bargeIns.get(confKey) || 0) >= at;
+}
+
+function detectBargeIn(state, text, isCommitted) {
+  const confKey = conferenceKey(state.callSid);
+  const speaking = isAgentSpeaking(confKey);
+  const speaker = state.speaker || state.callSid;
+  if (isStopCommand(state.callSid, text)) {
+    if (speaking || agentSessions.get(confKey)?.client.busy) {
+      interruptAgent(confKey, { speaker, text, reason: 'stop command' }).catch(e => log.error('interrupt error', { conference: confKey, err: e }));
+    }
+    return;
+  }
+  if (BARGE_IN === 'false' || !speaking || isCommitted) return;
+  // Require a few words so a cough or speakerphone echo doesn't cut the agent off
+  if (normalizeSpeech(text).split(' ').length < (Number(BARGE_IN_MIN_WORDS) || 1)) return;
+  interruptAgent(confKey, { speaker, text, reason: 'talk-over' }).catch(e => log.error('interrupt error', { conference: confKey, err: e }));
+}
+
+async function interruptAgent(confKey, { speaker, text, reason }) {
+  bargeIns.set(confKey, Date.now());
+  log.info('barge-in', { conference: confKey, speaker, reason, text });
+  if (reason === 'stop command') turnTakers.get(confKey)?.idle();
+  record(confKey, 'barge-in', { speaker, reason, text });
+  recorders.get(confKey)?.cutAgent();
+  playbacks.get(confKey)?.clear('barge-in');
+  agentLegs.get(confKey)?.clear();
+  const session = agentSessions.get(confKey);
+  if (session) {
+    session.client.interrupt();
+    session.client.sendContextualUpdate(`Your last response was cut off by ${speaker} (${reason}). They said: "${text}"`);
+  }
+  const announce = activeAnnounces.get(confKey);
+  activeAnnounces.delete(confKey);
+  if (announce && announce.until > Date.now() && twilioClient && PUBLIC_BASE_URL) {
+    // A new announcement replaces the one playing, so announce a moment of silence
+    await twilioClient.conferences(announce.confSid)
+      .update({ announceUrl: `${PUBLIC_BASE_URL}/announce/silence`, announceMethod: 'GET' })
+      .catch(e => log.warn('announce cancel failed', { conference: confKey, err: e.message }));
+  }
+}
+
+function recentContext(callSid) {
+  return transcriptFor(callSid).format({
+    maxLines: Number(TRANSCRIPT_CONTEXT_LINES) || 30,
+    maxChars: Number(TRANSCRIPT_CONTEXT_CHARS) || 4000,
+  });
+}
+
+function createVad() {
+  return new VoiceActivityDetector({
+    minDbfs: Number(VAD_MIN_DBFS),
+    noiseMarginDb: Number(VAD_NOISE_MARGIN_DB),
+    maxZeroCrossingRate: Number(VAD_MAX_ZCR),
+    hangoverMs: Number(VAD_HANGOVER_MS),
+    preRollMs: Number(VAD_PREROLL_MS),
+    // Scribe's own VAD commits on trailing silence, so it still needs to hear some
+    tailMs: VAD_TAIL_MS !== undefined ? Number(VAD_TAIL_MS) : manualCommit ? 0 : 1600,
+  });
+}
+
+// Talk/silence edges from a leg's VAD: commit the segment, time pending wakes, show who is talking
+function handleVoiceActivity(state, event) {
+  const confKey = conferenceKey(state.callSid);
+  const talking = event === 'start';
+  if (!talking && manualCommit) state.transcriber?.commit?.();
+  turnsFor(confKey).onVoiceActivity(state.callSid, talking);
+  feed.publish('voice', { conference: confKey, callSid: state.callSid, speaker: state.speaker, status: talking ? 'talking' : 'silent', ...state.vad.snapshot() });
+  publishState();
+}
+
+function handleTurn(state, decision) {
+  const confKey = conferenceKey(state.callSid);
+  const event = { conference: confKey, callSid: state.callSid, speaker: state.speaker, text: decision.text };
+  if (decision.action === 'pending') {
+    feed.publish('wake', { ...event, query: decision.wake.query, committed: false, status: 'pending' });
+  } else if (decision.action === 'listen') {
+    wakeHits.inc({ kind: 'wake' });
+    legLog(state).info('wake phrase without a command, listening');
+    feed.publish('wake', { ...event, status: 'listening' });
+  } else if (decision.action === 'disengage') {
+    log.info('follow-up window closed by speaker', { conference: confKey, callSid: state.callSid });
+    feed.publish('engagement', { ...event, status: 'ended', reason: 'disengaged' });
+    publishState();
+  } else if (decision.action === 'throttled') {
+    wakesThrottled.inc();
+    legLog(state).info('wake throttled', { reason: decision.reason });
+    feed.publish('wake', { ...event, query: decision.wake.query, committed: true, status: 'throttled', reason: decision.reason });
+  } else if (decision.action === 'dispatch') {
+    doWake(state, decision.text, decision.wake).catch(err => legLog(state).error('doWake error', { err }));
+  }
+}
+
+// Opens the follow-up window once the room has heard the answer
+function engage(confKey, state) {
+  const engaged = turnsFor(confKey).responded(state.callSid, activeAnnounces.get(confKey)?.until || Date.now());
+  if (engaged) {
+    feed.publish('engagement', {
+      conference: confKey,
+      callSid: state.callSid,
+      speaker: engaged.anySpeaker ? 'anyone' : state.speaker,
+      status: 'started',
+      until: engaged.until,
+    });
+  }
+  publishState();
+}
+
+// wake: the WakeMatcher match, or { query, followUp } for speech in an engaged follow-up window
+async function doWake(state, text, wake) {
+  const confKey = conferenceKey(state.callSid);
+  const turns = turnsFor(confKey);
+  legLog(state).info(wake.followUp ? 'follow-up' : 'wake', { speaker: state.speaker, text });
+  // Already handled by detectBargeIn and the confirmation gate
+  if (isStopCommand(state.callSid, text) || (confirmations.get(confKey) && isConfirmationReply(state.callSid, text))) {
+    turns.idle();
+    return;
+  }
+  const query = wake.query;
+  const wokeAt = Date.now();
+  wakeHits.inc({ kind: wake.followUp ? 'follow_up' : 'wake' });
+  const command = normalizeSpeech(query || '');
+  if (repeatCommands.includes(command) || slowerCommands.includes(command)) {
+    await replayLast(state, confKey, { slower: slowerCommands.includes(command), wokeAt })
+      .catch(e => legLog(state).error('playback error', { err: e }));
+    engage(confKey, state);
+    return;
+  }
+
+  if (providers.agent.configured) {
+    try {
+      agentSessions.join(confKey, state.callSid);
+      const session = agentSessions.acquire(confKey, () => createAgentClient(state, confKey));
+      if (streamPlayback) ensureAgentLeg(confKey).catch(e => log.warn('agent leg join failed', { conference: confKey, err: e.message }));
+      // Share what everyone on the bridge said so "fix what Priya described" has something to refer to
+      const context = recentContext(state.callSid);
+      const speaker = state.speaker || state.callSid;
+      const language = state.language || null;
+      let userQuery = `${speaker} asks${language ? ` in ${languageName(language)}` : ''}: ${query}`;
+      if (context && TRANSCRIPT_CONTEXT_MODE === 'message') {
+        userQuery = `Recent conference transcript:\n${context}\n\n${userQuery}`;
+      }
+      legLog(state).info('agent query', { speaker, userQuery });
+      record(confKey, 'wake', { callSid: state.callSid, speaker, text, query, phrase: wake.phrase, heard: wake.heard, score: wake.score, followUp: !!wake.followUp, language });
+      const askedAt = Date.now();
+      if (useAgentAudio) agentAudioTakes.set(confKey, []);
+      const agentResponse = await session.ask({
+        callSid: state.callSid,
+        speaker,
+        text: userQuery,
+        context: context && TRANSCRIPT_CONTEXT_MODE !== 'message' ? `Recent conference transcript:\n${context}` : null,
+      });
+      legLog(state).info('agent response', { text: agentResponse });
+      stageSeconds.observe({ stage: 'agent' }, (Date.now() - askedAt) / 1000);
+      record(confKey, 'agent-response', { callSid: state.callSid, speaker, text: agentResponse, ms: Date.now() - askedAt });
+      if (interruptedSince(confKey, askedAt)) {
+        log.info('agent response dropped after barge-in', { conference: confKey });
+        turns.idle();
+        return;
+      } else if (agentResponse && useAgentAudio) {
+        log.info('agent response already streamed as agent audio', { conference: confKey });
+        rememberAgentAudio(confKey, agentResponse);
+      } else if (agentResponse) {
+        await respondWithTts(state.callSid, agentResponse, { wokeAt, language }).catch(e => legLog(state).error('playback error', { err: e }));
+      } else {
+        await respondWithTts(state.callSid, `I'm here, but I didn't get a response. Please try again.`, { wokeAt, priority: 'urgent' }).catch(e => legLog(state).error('playback error', { err: e }));
+      }
+      if (agentResponse && roomTranslation) {
+        translateForRoom(state, confKey, agentResponse).catch(e => legLog(state).error('translation error', { err: e }));
+      }
+      engage(confKey, state);
+    } catch (err) {
+      legLog(state).error('agent error', { err });
+      turns.idle();
+      await respondWithTts(state.callSid, `Sorry, I encountered an error. Please try again.`, { priority: 'urgent' }).catch(e => legLog(state).error('playback error', { err: e }));
+    }
+  } else {
+    turns.idle();
+    await respondWithTts(state.callSid, `Hello ${state.speaker || 'there'}, I heard your request.`, { wokeAt }).catch(e => legLog(state).error('playback error', { err: e }));
+  }
+}
+
+function createAgentClient(state, confKey) {
+  const meta = callMeta.get(state.callSid) || {};
+  const agent = providers.agent.create(agentOptions(confKey, {
+    conference_sid: meta.conferenceSid || confKey,
+    conference_name: confKey,
+    caller_number: state.from || '',
+    caller_name: contacts.displayName(state.from) || '',
+    call_sid: state.callSid || '',
+  }));
+  if (useAgentAudio) {
+    agent.onAudio(buf => {
+      const leg = agentLegs.get(confKey);
+      if (!leg?.ready) return;
+      const mulaw = toTwilioMulaw(buf, ELEVEN_AGENT_AUDIO_FORMAT);
+      leg.play(mulaw, 'agent');
+      agentAudioTakes.get(confKey)?.push(mulaw);
+      recorders.get(confKey)?.addAgentAudio(decodeMulawToPcm16(mulaw));
+    });
+  }
+  // Client tool calls run in process, with the conference and whoever asked last as context
+  agent.onToolCall?.(call => {
+    const session = agentSessions.get(confKey);
+    const callSid = session?.lastCallSid || state.callSid;
+    return tools.invoke(call.name, call.parameters, {
+      source: 'agent',
+      conference: confKey,
+      conferenceSid: callMeta.get(callSid)?.conferenceSid || null,
+      callSid,
+      speaker: session?.lastSpeaker || contacts.displayName(state.from),
+    });
+  });
+  agent.onStatus?.((status, info) => {
+    log.warn('agent connection', { conference: confKey, status, ...info });
+    record(confKey, 'connection', { component: 'agent', status, ...info });
+    // The client replays its own questions and answers; the room's transcript comes from here
+    if (status === 'reconnected') {
+      agent.sendContextualUpdate(recentContext(agentSessions.get(confKey)?.lastCallSid || state.callSid));
+    }
+    publishState();
+  });
+  // Late responses go to whoever asked most recently; announce plays to the whole conference anyway
+  agent.onSubsequentResponse(resp => {
+    const session = agentSessions.get(confKey);
+    log.info('agent subsequent response', { conference: confKey, text: resp });
+    record(confKey, 'agent-response', { callSid: session?.lastCallSid, speaker: session?.lastSpeaker, text: resp, subsequent: true });
+    if (useAgentAudio) return;
+    respondWithTts(session?.lastCallSid || state.callSid, resp).catch(e => log.error('subsequent playback error', { conference: confKey, err: e }));
+  });
+  return agent;
+}
+
+// The profile picks the agent and adds its own dynamic variables, an incident bridge adds the
+// alert's; the call's own always win
+function agentOptions(confKey, dynamicVariables) {
+  const profile = profileFor(confKey);
+  const incident = incidents.get(confKey);
+  return {
+    ...withoutEmpty({ agentId: profile?.agentId }),
+    dynamicVariables: {
+      ...profile?.dynamicVariables,
+      ...(profile ? { profile: profile.name } : {}),
+      ...(incident ? alertVariables(incident.alert) : {}),
+      ...dynamicVariables,
+    },
+  };
+}
+
+// Languages heard on the conference's legs other than the asker's, each spoken once
+function roomLanguages(confKey, except) {
+  const languages = new Set();
+  for (const stream of mediaStreams.values()) {
+    if (stream.language && stream.language !== except && conferenceKey(stream.callSid) === confKey) languages.add(stream.language);
+  }
+  return [...languages];
+}
+
+// Translations go one at a time through the conference's translation conversation
+async function translateForRoom(state, confKey, text) {
+  const languages = roomLanguages(confKey, state.language);
+  if (!languages.length) return;
+  const translator = translatorFor(state, confKey);
+  if (!translator) return;
+  // The conference may end, closing the translator, while this waits its turn; connecting then
+  // would reopen it
+  const ended = () => translators.get(confKey) !== translator;
+  const run = translator.queue.then(async () => {
+    const { agent } = translator;
+    if (ended()) return;
+    await agent.connect();
+    for (const language of languages) {
+      if (ended()) return;
+      const prompt = `Translate this into ${languageName(language)}. Keep it short, one or two sentences, and reply with the translation only:\n\n${text}`;
+      const translation = await agent.sendText(prompt, 20000);
+      if (!translation) continue;
+      legLog(state).info('translation', { from: state.language, to: language, text: translation });
+      record(confKey, 'translation', { callSid: state.callSid, speaker: state.speaker, from: state.language || null, to: language, text: translation });
+      await respondWithTts(state.callSid, translation, { language });
+    }
+  });
+  translator.queue = run.catch(() => {});
+  return run;
+}
+
+// Kept apart from the live session so translations stay out of its memory, and opened once per
+// conference rather than per answer; closed when the conference ends. Null once the conference's
+// agent session is gone, since nothing would close a translator opened after that.
+function translatorFor(state, confKey) {
+  let translator = translators.get(confKey);
+  if (!translator) {
+    if (!agentSessions.get(confKey)) return null;
+    const meta = callMeta.get(state.callSid) || {};
+    const agent = providers.agent.create(agentOptions(confKey, {
+      conference_sid: meta.conferenceSid || confKey,
+      conference_name: confKey,
+      caller_number: '',
+      caller_name: '',
+      call_sid: '',
+    }));
+    translator = { agent, queue: Promise.resolve() };
+    translators.set(confKey, translator);
+  }
+  return translator;
+}
+
+async function produceRecap(confKey) {
+  const events = await store.getEvents(confKey);
+  if (!events.some(e => e.type === 'transcript')) {
+    log.info('recap skipped: no transcript', { conference: confKey });
+    return null;
+  }
+  let reply = null;
+  if (providers.agent.configured) {
+    const conference = await store.getConference(confKey);
+    // A fresh conversation so the recap request doesn't land in the live session's memory
+    const agent = providers.agent.create(agentOptions(confKey, {
+      conference_sid: conference?.conferenceSid || confKey,
+      conference_name: confKey,
+      caller_number: conference?.initiator || '',
+      caller_name: contacts.displayName(conference?.initiator) || '',
+      call_sid: '',
+    }));
+    try {
+      await agent.connect();
+      reply = await agent.sendText(buildRecapPrompt(events, Number(RECAP_MAX_CHARS) || 20000), 60000);
+    } finally {
+      agent.close();
+    }
+  }
+  const recap = { ...parseRecap(reply), actionsTaken: actionsTaken(events), generatedAt: Date.now() };
+  const conference = await store.upsertConference(confKey, { recap });
+  const deliveries = await deliverRecap(recapDeliverers, conference, recap);
+  log.info('recap produced', { conference: confKey, deliveries });
+  record(confKey, 'recap', { deliveries });
+  return recap;
+}
+
+function parseStartPayload(raw) {
+  if (!raw) return null;
+  try {
+    return JSON.parse(raw);
+  } catch {
+    log.warn('ELEVEN_START_MESSAGE is not valid JSON');
+    return null;
+  }
+}
+
+function parseJsonEnv(name, raw) {
+  if (!raw) return null;
+  try {
+    return JSON.parse(raw);
+  } catch {
+    log.warn(`${name} is not valid JSON`);
+    return null;
+  }
+}
+
+function parseWakeList(rawList, defaultPhrase) {
+  if (rawList && rawList.trim().length > 0) {
+    return rawList
+      .split(',')
+      .map(s => s.trim().toLowerCase())
+      .filter(Boolean);
+  }
+  return [defaultPhrase.toLowerCase()].filter(Boolean);
+}
+
+// Provider options are spread over the configured ones, so unset values must not be there at all
+function withoutEmpty(obj) {
+  return Object.fromEntries(Object.entries(obj).filter(([, v]) => v !== undefined && v !== null && v !== ''));
+}
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// Built-in client tools. Parameters the agent leaves out come from the conversation's own conference.
+function registerTools(registry) {
+  registry.register({
+    name: 'add_participant',
+    description: 'Dial someone into the current conference call, by number or by name from the contact directory.',
+    parameters: {
+      type: 'object',
+      properties: {
+        to: { type: 'string', description: 'Phone number in E.164 format, or a name, alias, or team and role such as "the database on-call"' },
+        conferenceSid: { type: 'string', description: 'Conference SID; defaults to the current conference' },
+        conferenceName: { type: 'string', description: 'Conference friendly name; defaults to the current conference' },
+      },
+      required: ['to'],
+    },
+    timeoutMs: 15000,
+    handler: async ({ to, conferenceSid, conferenceName }, context) => {
+      const { number, contact, candidates } = contacts.resolve(to);
+      if (!number && !candidates.length) throw httpError(404, `nobody in the contact directory matches ${to}`);
+      // Several people fit: the agent asks the room which one and calls again with that name
+      if (!number) {
+        const names = candidates.map(describeContact);
+        log.info('add-participant ambiguous', { to, candidates: names });
+        return {
+          status: 'needs_clarification',
+          message: `"${to}" could be ${names.slice(0, -1).join(', ')} or ${names[names.length - 1]}. Ask which one they mean.`,
+          candidates: candidates.map(c => ({ name: c.name, team: c.team, role: c.role })),
+        };
+      }
+      const name = conferenceName || context.conference;
+      let sid = conferenceSid || context.conferenceSid;
+      if (!sid && name) sid = (await resolveConference(name)).sid;
+      const result = await addParticipant({ to: number, conferenceSid: sid, conferenceName: name });
+      return contact ? { ...result, contact: contact.name } : result;
+    },
+  });
+
+  const conferenceProps = {
+    conferenceSid: { type: 'string', description: 'Conference SID; defaults to the current conference' },
+    conferenceName: { type: 'string', description: 'Conference friendly name; defaults to the current conference' },
+  };
+  const participantParams = {
+    type: 'object',
+    properties: { participant: { type: 'string', description: 'Call SID or phone number of the participant' }, ...conferenceProps },
+    required: ['participant'],
+  };
+  registry.register({
+    name: 'list_participants',
+    description: 'List who is on the conference call.',
+    parameters: { type: 'object', properties: conferenceProps },
+    handler: (params, context) => listParticipants(conferenceRef(params, context)),
+  });
+  for (const muted of [true, false]) {
+    registry.register({
+      name: muted ? 'mute_participant' : 'unmute_participant',
+      description: muted ? 'Mute a participant.' : 'Unmute a participant.',
+      parameters: participantParams,
+      handler: (params, context) => setParticipantMuted(conferenceRef(params, context), params.participant, muted),
+    });
+  }
+  for (const hold of [true, false]) {
+    registry.register({
+      name: hold ? 'hold_participant' : 'unhold_participant',
+      description: hold ? 'Put a participant on hold.' : 'Take a participant off hold.',
+      parameters: participantParams,
+      handler: (params, context) => setParticipantHold(conferenceRef(params, context), params.participant, hold),
+    });
+  }
+  registry.register({
+    name: 'remove_participant',
+    description: 'Hang up one participant. Asks the room to confirm first.',
+    parameters: participantParams,
+    risk: 'high',
+    // Resolving here means an unknown participant fails before anyone is asked to confirm
+    describe: async (params, context) => {
+      const { participant } = await resolveParticipant(conferenceRef(params, context), params.participant);
+      return `Remove ${participant.displayName || participant.name || participant.callSid} from the call`;
+    },
+    handler: (params, context) => removeParticipant(conferenceRef(params, context), params.participant),
+  });
+  registry.register({
+    name: 'end_conference',
+    description: 'End the call for everyone. Asks the room to confirm first.',
+    parameters: { type: 'object', properties: conferenceProps },
+    risk: 'high',
+    describe: () => 'End the call for everyone',
+    handler: (params, context) => endConference(conferenceRef(params, context)),
+  });
+
+  // Actions on other systems, e.g. { "trigger_cursor_agent": { "url": "...", "risk": "critical",
+  // "readBack": "Ask Cursor to {prompt}", "parameters": {...} } }
+  for (const [name, spec] of Object.entries(parseJsonEnv('WEBHOOK_TOOLS', WEBHOOK_TOOLS) || {})) {
+    const tool = webhookTool({ name, ...spec });
+    registry.register({
+      ...tool,
+      handler: async (params, context) => {
+        try {
+          const result = await tool.handler(params, context);
+          record(context.conference, 'tool-call', { name, args: params, result });
+          return result;
+        } catch (err) {
+          record(context.conference, 'tool-call', { name, args: params, error: err.message });
+          throw err;
+        }
+      },
+    });
+  }
+}
+
+// The conference a participant tool acts on: the one named in its parameters, else the caller's
+function conferenceRef(params, context) {
+  return params.conferenceSid || params.conferenceName || context.conferenceSid || context.conference;
+}
+
+function conferenceParams(ref) {
+  return /^CF[0-9a-f]{32}$/i.test(ref || '') ? { conferenceSid: ref } : { conferenceName: ref };
+}
+
+async function addParticipant({ to, conferenceSid, conferenceName }) {
+  if (!twilioClient) throw httpError(400, 'Twilio client not configured');
+  if (!to || !conferenceSid) throw httpError(400, 'to and conferenceSid required');
+  const profile = profileFor(conferenceName || conferenceNameFor(conferenceSid));
+  // A profile's allowlist replaces the global one; the global denylist still applies
+  const allowed = checkDestination(to, profile?.dialAllowlist ? { ...dialPolicy, allow: profile.dialAllowlist } : dialPolicy);
+  if (!allowed.ok) {
+    log.warn('add-participant rejected', { to, conference: conferenceName || conferenceSid, profile: profile?.name, reason: allowed.reason });
+    throw httpError(403, allowed.reason);
+  }
+
+  // Get actual conference friendly name if not provided
+  let actualConfName = conferenceName;
+  if (!actualConfName && conferenceSid) {
+    try {
+      const conf = await twilioClient.conferences(conferenceSid).fetch();
+      actualConfName = conf.friendlyName;
+      log.info('fetched conference friendlyName', { conferenceSid, conference: actualConfName });
+    } catch (e) {
+      log.warn('could not fetch conference friendlyName, using conferenceSid', { conferenceSid, err: e.message });
+      actualConfName = conferenceSid;
+    }
+  }
+
+  const twiml = dialedLegTwiml({ from: to, conferenceSid, conferenceName: actualConfName });
+
+  try {
+    const call = await twilioClient.calls.create({
+      to,
+      from: TWILIO_NUMBER,
+      twiml,
+    });
+    // Pre-populate callMeta for this outbound leg
+    callMeta.set(call.sid, { from: to, conferenceSid, conferenceName: actualConfName });
+    log.info('add-participant success', { callSid: call.sid, to, conference: actualConfName });
+    record(actualConfName, 'tool-call', { name: 'add_participant', args: { to }, result: { callSid: call.sid } });
+    return { callSid: call.sid, conferenceName: actualConfName };
+  } catch (err) {
+    record(actualConfName, 'tool-call', { name: 'add_participant', args: { to }, error: err.message });
+    throw err;
+  }
+}
+
+async function openIncident(body, profileName) {
+  if (!twilioClient) throw httpError(400, 'Twilio client not configured');
+  if (!PUBLIC_BASE_URL) throw httpError(400, 'PUBLIC_BASE_URL is required to page the on-call rotation');
+  const alert = parseAlert(body);
+  if (!alert) throw httpError(400, 'unrecognized alert payload');
+  const profile = profileName ? profiles.get(profileName) : null;
+  if (profileName && !profile) throw httpError(404, `no profile named ${profileName}`);
+  // Alertmanager re-sends a firing group until it resolves; the bridge opened for it is reused
+  const [openKey, open] = [...incidents.entries()].find(([, incident]) => alert.key && incident.alert.key === alert.key) || [];
+  if (alert.status === 'resolved') {
+    if (open) await resolveIncident(openKey, open);
+    return { status: 200, conference: openKey || null, resolved: !!open };
+  }
+  if (open) return { status: 200, conference: openKey, duplicate: true, escalation: open.escalation.snapshot() };
+
+  const rotation = profile?.onCall || onCallRotation;
+  if (!rotation.length) throw httpError(400, 'no on-call rotation configured');
+  const confKey = `incident-${safeName(alert.key || crypto.randomUUID()).slice(0, 48)}-${Date.now().toString(36)}`;
+  if (profile) conferenceProfiles.set(confKey, profile);
+  if (profile?.wakePhrases) wakeMatchers.set(confKey, createWakeMatcher(profile.wakePhrases));
+  const incident = { alert, profile, openedAt: Date.now(), escalation: null };
+  incident.escalation = new OnCallEscalation({
+    name: confKey,
+    rotation,
+    attempts: Number(INCIDENT_DIAL_ATTEMPTS) || 1,
+    retryDelayMs: Number(INCIDENT_RETRY_DELAY_MS) || 0,
+    dial: (number, attempt) => pageOnCall(confKey, number, attempt),
+    onChange: escalation => escalationChanged(confKey, escalation),
+  });
+  incidents.set(confKey, incident);
+  await store.upsertConference(confKey, {
+    createdAt: Date.now(),
+    initiator: null,
+    dialed: null,
+    profile: profile?.name || null,
+    wakePhrases: profile?.wakePhrases || null,
+    incident: alert,
+  });
+  record(confKey, 'incident', { status: 'firing', source: alert.source, title: alert.title, severity: alert.severity, service: alert.service });
+  incident.escalation.start();
+  return { status: 202, conference: confKey, alert, escalation: incident.escalation.snapshot() };
+}
+
+// Rings one person with the alert read out; they join by pressing 1
+async function pageOnCall(confKey, number, attempt) {
+  const { alert } = incidents.get(confKey);
+  const twiml = new twilio.twiml.VoiceResponse();
+  twiml
+    .gather({ action: `${PUBLIC_BASE_URL}/incidents/answer`, method: 'POST', input: 'dtmf', numDigits: 1, timeout: 8 })
+    .say(`${describeAlert(alert)} Press 1 to join the incident bridge.`);
+  twiml.say('Goodbye.');
+  const call = await twilioClient.calls.create({
+    to: number,
+    from: TWILIO_NUMBER,
+    twiml: twiml.toString(),
+    timeout: Number(INCIDENT_RING_SECONDS) || 25,
+    statusCallback: `${PUBLIC_BASE_URL}/incidents/call-status`,
+    statusCallbackEvent: ['completed'],
+    statusCallbackMethod: 'POST',
+  });
+  callMeta.set(call.sid, { from: number, conferenceSid: null, conferenceName: confKey });
+  log.info('paging on-call', { callSid: call.sid, conference: confKey, to: number, attempt });
+  record(confKey, 'incident', { status: 'paging', to: number, attempt, callSid: call.sid });
+  return call.sid;
+}
+
+function escalationChanged(confKey, escalation) {
+  if (escalation.state === 'answered' || escalation.state === 'exhausted') {
+    record(confKey, 'incident', { status: escalation.state, answeredBy: escalation.answeredBy, attempts: escalation.tried.length });
+  }
+  // Nobody joined, so no conference ever started and nothing else will clean up
+  if (escalation.state === 'exhausted') {
+    incidents.delete(confKey);
+    conferenceProfiles.delete(confKey);
+    wakeMatchers.delete(confKey);
+  }
+  publishState();
+}
+
+function incidentForCall(callSid) {
+  return [...incidents.values()].find(incident => incident.escalation.owns(callSid)) || null;
+}
+
+// Stops paging, and tells the bridge if anyone is on it
+async function resolveIncident(confKey, incident) {
+  incident.escalation.cancel();
+  incident.alert = { ...incident.alert, status: 'resolved' };
+  record(confKey, 'incident', { status: 'resolved', title: incident.alert.title });
+  const callSid = [...(agentSessions.members.get(confKey) || [])][0];
+  if (callSid) {
+    await respondWithTts(callSid, `The alert has resolved: ${incident.alert.title}.`)
+      .catch(e => log.error('playback error', { conference: confKey, err: e }));
+  }
+}
+
+// Each person joining an incident bridge hears what it is about, from the agent when there is one
+async function briefParticipant(confKey, callSid) {
+  const { alert } = incidents.get(confKey);
+  const number = callMeta.get(callSid)?.from;
+  const name = number ? contacts.displayName(number) : 'Someone';
+  let briefing = null;
+  if (providers.agent.configured) {
+    const session = agentSessions.acquire(confKey, () => createAgentClient({ callSid, from: number }, confKey));
+    if (streamPlayback) ensureAgentLeg(confKey).catch(e => log.warn('agent leg join failed', { conference: confKey, err: e.message }));
+    if (useAgentAudio) agentAudioTakes.set(confKey, []);
+    briefing = await session.ask({
+      callSid,
+      speaker: name,
+      text: `${name} just joined the incident bridge. Brief them on the incident in two or three sentences.`,
+    }).catch(e => {
+      log.warn('agent briefing failed, reading the alert instead', { conference: confKey, err: e.message });
+      return null;
+    });
+    if (briefing) record(confKey, 'agent-response', { callSid, speaker: name, text: briefing, briefing: true });
+    if (briefing && useAgentAudio) {
+      rememberAgentAudio(confKey, briefing);
+      return;
+    }
+  }
+  await respondWithTts(callSid, briefing || describeAlert(alert));
+}
+
+// Accepts a conference SID or friendly name and returns the live conference
+async function resolveConference(ref) {
+  if (!twilioClient) throw httpError(400, 'Twilio client not configured');
+  if (!ref) throw httpError(400, 'conference required');
+  if (/^CF[0-9a-f]{32}$/i.test(ref)) {
+    const conf = await twilioClient.conferences(ref).fetch();
+    return { sid: conf.sid, name: conf.friendlyName };
+  }
+  const conferences = await twilioClient.conferences.list({ friendlyName: ref, status: 'in-progress', limit: 1 });
+  if (!conferences.length) throw httpError(404, `no active conference named ${ref}`);
+  return { sid: conferences[0].sid, name: ref };
+}
+
+// Friendly name for a SID or name without asking Twilio; used for local state like transcripts
+function conferenceNameFor(ref) {
+  for (const meta of callMeta.values()) {
+    if (meta.conferenceSid === ref && meta.conferenceName) return meta.conferenceName;
+  }
+  return ref;
+}
+
+async function listParticipants(ref) {
+  const conference = await resolveConference(ref);
+  const participants = await twilioClient.conferences(conference.sid).participants.list();
+  return {
+    conference,
+    participants: participants.map(p => ({
+      callSid: p.callSid,
+      name: callMeta.get(p.callSid)?.from || null,
+      displayName: contacts.forNumber(callMeta.get(p.callSid)?.from)?.name || null,
+      label: p.label || null,
+      muted: p.muted,
+      hold: p.hold,
+      status: p.status,
+      agent: p.label === 'agent' || agentLegCallSids.has(p.callSid),
+    })),
+  };
+}
+
+// who: a call SID, the participant's number, or a name from the contact directory
+async function resolveParticipant(ref, who) {
+  const { conference, participants } = await listParticipants(ref);
+  let match = participants.find(p => p.callSid === who || (p.name && p.name === who));
+  if (!match) {
+    // Of everyone the name could mean, only the people on this call count
+    const numbers = new Set(contacts.find(who).flatMap(c => c.numbers));
+    const present = participants.filter(p => numbers.has(p.name));
+    if (present.length > 1) throw httpError(409, `${who} could be ${present.map(p => p.displayName).join(' or ')}; which one?`);
+    match = present[0];
+  }
+  if (!match) throw httpError(404, `no participant ${who} in ${conference.name}`);
+  return { conference, participant: match };
+}
+
+async function setParticipantMuted(ref, who, muted) {
+  const { conference, participant } = await resolveParticipant(ref, who);
+  const name = muted ? 'mute_participant' : 'unmute_participant';
+  try {
+    await twilioClient.conferences(conference.sid).participants(participant.callSid).update({ muted });
+    record(conference.name, 'tool-call', { name, args: { who }, result: { callSid: participant.callSid } });
+    return { conference, callSid: participant.callSid, muted };
+  } catch (err) {
+    record(conference.name, 'tool-call', { name, args: { who }, error: err.message });
+    throw err;
+  }
+}
+
+async function removeParticipant(ref, who) {
+  const { conference, participant } = await resolveParticipant(ref, who);
+  try {
+    await twilioClient.conferences(conference.sid).participants(participant.callSid).remove();
+    record(conference.name, 'tool-call', { name: 'remove_participant', args: { who }, result: { callSid: participant.callSid } });
+    return { conference, callSid: participant.callSid, removed: true };
+  } catch (err) {
+    record(conference.name, 'tool-call', { name: 'remove_participant', args: { who }, error: err.message });
+    throw err;
+  }
+}
+
+async function setParticipantHold(ref, who, hold) {
+  const { conference, participant } = await resolveParticipant(ref, who);
+  const name = hold ? 'hold_participant' : 'unhold_participant';
+  const update = { hold };
+  if (hold && HOLD_MUSIC_URL) Object.assign(update, { holdUrl: HOLD_MUSIC_URL, holdMethod: 'GET' });
+  try {
+    await twilioClient.conferences(conference.sid).participants(participant.callSid).update(update);
+    record(conference.name, 'tool-call', { name, args: { who }, result: { callSid: participant.callSid } });
+    return { conference, callSid: participant.callSid, hold };
+  } catch (err) {
+    record(conference.name, 'tool-call', { name, args: { who }, error: err.message });
+    throw err;
+  }
+}
+
+async function endConference(ref) {
+  const conference = await resolveConference(ref);
+  try {
+    await twilioClient.conferences(conference.sid).update({ status: 'completed' });
+    record(conference.name, 'tool-call', { name: 'end_conference', args: {}, result: { conferenceSid: conference.sid } });
+    return { conference, ended: true };
+  } catch (err) {
+    record(conference.name, 'tool-call', { name: 'end_conference', args: {}, error: err.message });
+    throw err;
+  }
+}
+
+// Tools above low risk are read back to the room and only run once someone says a confirm phrase;
+// critical ones need it from someone other than whoever asked, or from two people when nobody on
+// the call asked
+async function confirmToolCall({ tool, risk, params, context, description, run }) {
+  const conference = context.conference && !params.conferenceSid && !params.conferenceName
+    ? { name: context.conference }
+    : await resolveConference(conferenceRef(params, context));
+  const session = agentSessions.get(conference.name);
+  const requestedBy = context.speaker || session?.lastSpeaker || null;
+  const requestedByCallSid = context.callSid || session?.lastCallSid || null;
+  const requireOther = risk === 'critical';
+  const details = { tool, params, risk };
+  const entry = confirmations.request(conference.name, { description, run, requestedBy, requestedByCallSid, requireOther, ...details });
+  record(conference.name, 'confirmation', { decision: 'requested', description, requestedBy, requestedByCallSid, ...details });
+  const message = !requireOther ? `${description}. Say confirm to go ahead, or cancel.`
+    : requestedByCallSid ? `${description}. Someone other than ${requestedBy || 'whoever asked'} needs to say confirm to go ahead, or cancel.`
+      : `${description}. Two people on the call need to say confirm to go ahead, or cancel.`;
+  speakToConference(conference.name, message).catch(e => log.error('playback error', { conference: conference.name, err: e }));
+  return { status: 'pending_confirmation', confirmationId: entry.id, message };
+}
+
+// text: what the approver said, kept with the decision as the record of who approved what
+async function resolveConfirmation(state, { decision, entry }, text) {
+  const decidedBy = state.speaker || state.callSid;
+  const request = { description: entry.description, requestedBy: entry.requestedBy, requestedByCallSid: entry.requestedByCallSid, ...entry.details };
+  if (decision === 'needs-other') {
+    record(entry.confKey, 'confirmation', { decision, ...request, attemptedBy: decidedBy, text });
+    await speakToConference(entry.confKey, entry.requestedByCallSid
+      ? `Someone other than ${entry.requestedBy || 'whoever asked'} needs to confirm that.`
+      : 'Someone else needs to confirm that.');
+    return;
+  }
+  if (decision === 'needs-second') {
+    record(entry.confKey, 'confirmation', { decision, ...request, decidedBy, decidedByCallSid: state.callSid, text });
+    await speakToConference(entry.confKey, 'One more person needs to say confirm.');
+    return;
+  }
+  record(entry.confKey, 'confirmation', { decision, ...request, decidedBy, decidedByCallSid: state.callSid, text });
+  if (decision === 'cancelled') {
+    await speakToConference(entry.confKey, 'Okay, cancelled.');
+    return;
+  }
+  try {
+    await entry.run();
+    await speakToConference(entry.confKey, `Done. ${entry.description}.`);
+  } catch (err) {
+    log.error('confirmed action failed', { conference: entry.confKey, err });
+    await speakToConference(entry.confKey, `Sorry, that failed: ${err.message}`).catch(() => {});
+  }
+}
+
+function getRecentTranscript(ref, maxLines = Number(TRANSCRIPT_CONTEXT_LINES) || 30) {
+  const name = conferenceNameFor(ref);
+  const lines = transcripts.get(name)?.recent({ maxLines, maxChars: Infinity }) || [];
+  return { conference: name, lines };
+}
+
+async function speakToConference(ref, text) {
+  const name = conferenceNameFor(ref);
+  // Prefer a leg we know is still in the conference; callMeta keeps finished calls too
+  const callSid = [...(agentSessions.members.get(name) || [])][0]
+    || [...callMeta.entries()].find(([, meta]) => meta.conferenceName === name)?.[0];
+  if (!callSid) throw httpError(404, `no known call legs in ${name}`);
+  record(name, 'tool-call', { name: 'speak_to_conference', args: { text } });
+  await respondWithTts(callSid, text);
+  return { conference: name, spoken: true };
+}
+
+// Queues text to be spoken to callSid's conference. Resolves once it is playing (announce) or
+// has played (stream), or with { cancelled: true } if a barge-in or cancel dropped it first.
+// priority: 'urgent' goes ahead of everything still waiting. language: speak it in this language
+// rather than the configured one.
+async function respondWithTts(callSid, text, { wokeAt, priority = 'normal', language } = {}) {
+  if (!twilioClient) {
+    log.warn('respondWithTts skipped: twilio client not configured', { callSid });
+    return null;
+  }
+  if (!callSid) {
+    log.warn('respondWithTts skipped: callSid missing');
+    return null;
+  }
+  return enqueueSpeech(callSid, { text, wokeAt, priority, language, audio: {} });
+}
+
+function enqueueSpeech(callSid, item) {
+  const queue = playbackFor(conferenceKey(callSid));
+  // Synthesis starts now so the audio is ready when the queue gets to it
+  speechFor({ callSid, ...item }, streamPlayback ? 'mulaw' : 'file').catch(() => {});
+  if (!queue.idle) publishPlayback(callSid, 'queued', { text: item.text, priority: item.priority, ahead: queue.size + 1 });
+  const entry = queue.enqueue({ callSid, ...item });
+  entry.done.then(result => {
+    if (result?.cancelled) publishPlayback(callSid, 'cancelled', { text: item.text, reason: result.reason });
+  }, () => {});
+  return entry.done;
+}
+
+function playbackFor(confKey) {
+  let queue = playbacks.get(confKey);
+  if (!queue) {
+    queue = new PlaybackQueue({
+      name: confKey,
+      play: deliverSpeech,
+      waitUntilHeard: () => waitUntilQuiet(confKey),
+      onChange: () => publishState(),
+    });
+    playbacks.set(confKey, queue);
+  }
+  return queue;
+}
+
+async function waitUntilQuiet(confKey) {
+  while (isAgentSpeaking(confKey)) await new Promise(resolve => setTimeout(resolve, 100));
+}
+
+// "repeat that" / "say that slower": the last utterance again, from the cache rather than TTS
+function replayLast(state, confKey, { slower, wokeAt }) {
+  const last = playbackFor(confKey).last;
+  if (!last) return respondWithTts(state.callSid, "I haven't said anything yet.", { wokeAt });
+  record(confKey, 'replay', { callSid: state.callSid, speaker: state.speaker, text: last.text, slower });
+  return enqueueSpeech(state.callSid, {
+    text: last.text,
+    language: last.language,
+    wokeAt,
+    priority: 'normal',
+    replay: slower ? 'slower' : 'repeat',
+    audio: slower ? slowedSpeech(last) : last.audio,
+  });
+}
+
+// Stretched in time from the cached μ-law audio at PLAYBACK_SLOWER_RATE, without asking TTS again
+function slowedSpeech(last) {
+  const rate = Number(PLAYBACK_SLOWER_RATE) || 0.75;
+  const mulaw = speechFor(last, 'mulaw').then(({ audio }) => {
+    const pcm = stretchPcm16(decodeMulawToPcm16(audio), 8000, rate);
+    return { audio: encodePcm16ToMulaw(pcm), contentType: 'audio/basic', durationMs: Math.round(pcm.length / 16) };
+  });
+  return { mulaw }; // speechFor wraps it as WAV if it is announced
+}
+
+// The ElevenLabs agent speaks for itself, so its answer is cached from the audio it streamed
+function rememberAgentAudio(confKey, text) {
+  const chunks = agentAudioTakes.get(confKey);
+  agentAudioTakes.delete(confKey);
+  if (!chunks?.length) return;
+  const audio = Buffer.concat(chunks);
+  playbackFor(confKey).remember({ text, audio: { mulaw: Promise.resolve({ audio, contentType: 'audio/basic', durationMs: audio.length / 8 }) } });
+}
+
+// 'mulaw' for the agent leg's stream, 'file' for <Play>/announce. Synthesized once per item as
+// 8 kHz μ-law, which the recorder can decode too; 'file' is that audio as WAV. Already there for replays.
+function speechFor(item, format) {
+  item.audio.mulaw ??= (async () => {
+    const endTts = stageSeconds.startTimer({ stage: 'tts' });
+    const speech = await synthesizerFor(conferenceKey(item.callSid)).synthesize(item.text, withoutEmpty({ format: 'mulaw', language: item.language }));
+    endTts();
+    return speech;
+  })();
+  if (format === 'file') {
+    item.audio.file ??= item.audio.mulaw.then(({ audio, durationMs }) => {
+      const pcm = decodeMulawToPcm16(audio);
+      return { audio: Buffer.concat([wavHeader(pcm.length, 8000), pcm]), contentType: 'audio/wav', durationMs };
+    });
+  }
+  return item.audio[format];
+}
+
+// Plays one queued utterance: streamed through the agent leg, else announced to the conference
+async function deliverSpeech(item) {
+  const { callSid, text, wokeAt } = item;
+  log.info('respondWithTts start', { callSid, conference: conferenceKey(callSid), text, replay: item.replay });
+  publishPlayback(callSid, 'synthesizing', { text });
+  const startedAt = Date.now();
+  if (streamPlayback) {
+    if (await streamToConference(item, startedAt)) return { played: true };
+    log.warn('respondWithTts: agent leg unavailable, falling back to announce', { callSid, conference: conferenceKey(callSid) });
+    announceFallbacks.inc({ from: 'stream', to: 'announce' });
+  }
+  if (!PUBLIC_BASE_URL) {
+    log.warn('respondWithTts skipped: PUBLIC_BASE_URL not set', { callSid });
+    return { played: false };
+  }
+  const speech = await speechFor(item, 'file');
+  log.info('respondWithTts synthesized', { callSid, conference: conferenceKey(callSid), bytes: speech.audio.length, contentType: speech.contentType });
+  const id = crypto.randomUUID();
+  audioStore.set(id, speech);
+  setTimeout(() => audioStore.delete(id), AUDIO_URL_TTL_MS);
+  const ext = speech.contentType === 'audio/wav' ? 'wav' : 'mp3';
+  const url = `${PUBLIC_BASE_URL}/audio/${id}.${ext}?token=${urlSigner.sign(id, AUDIO_URL_TTL_MS)}`;
+  const meta = callMeta.get(callSid) || {};
+  const confName = meta.conferenceName || callSid;
+  let confSid = meta.conferenceSid;
+  if (interruptedSince(confName, startedAt)) {
+    log.info('respondWithTts cancelled by barge-in', { callSid, conference: confName });
+    publishPlayback(callSid, 'cancelled', { text });
+    return { played: false };
+  }
+  const playingUntil = () => Date.now() + speech.durationMs + 500;
+  
+  // Look up the active conference by name to get current SID
+  if (confName) {
+    const endLookup = stageSeconds.startTimer({ stage: 'conference_lookup' });
+    try {
+      const conferences = await twilioClient.conferences.list({ friendlyName: confName, status: 'in-progress', limit: 1 });
+      if (conferences.length > 0) {
+        confSid = conferences[0].sid;
+        callMeta.set(callSid, { ...meta, conferenceSid: confSid });
+      }
+    } catch (e) {
+      log.warn('conference lookup failed', { callSid, conference: confName, err: e.message });
+    } finally {
+      endLookup();
+    }
+  }
+  log.info('respondWithTts playing', { callSid, conference: confName, confSid, url });
+  
   // Try conference announce, then participant announce, then TwiML fallback
   if (confSid) {
     try {
+      const endAnnounce = stageSeconds.startTimer({ stage: 'announce' });
       const updated = await twilioClient.conferences(confSid).update({ announceUrl: url, announceMethod: 'GET' });
-      console.log('respondWithTts conference announce ok', updated?.sid);
-      return;
+      endAnnounce();
+      speechStarted(wokeAt);
+      log.info('respondWithTts conference announce ok', { callSid, conference: confName, confSid: updated?.sid });
+      activeAnnounces.set(confName, { confSid, until: playingUntil() });
+      publishPlayback(callSid, 'announcing', { text, via: 'conference' });
+      recordAgentSpeech(confName, item);
+      return { played: true };
     } catch (e) {
-      console.warn('conference announce failed, trying participant', e.message);
+      log.warn('conference announce failed, trying participant', { callSid, conference: confName, err: e.message });
+      announceFallbacks.inc({ from: 'conference', to: 'participant' });
     }
     try {
+      const endAnnounce = stageSeconds.startTimer({ stage: 'announce' });
       const updated = await twilioClient.conferences(confSid).participants(callSid).update({ announceUrl: url });
-      console.log('respondWithTts participant announce ok', updated?.callSid);
-      return;
+      endAnnounce();
+      speechStarted(wokeAt);
+      log.info('respondWithTts participant announce ok', { callSid, conference: confName });
+      activeAnnounces.set(confName, { confSid, until: playingUntil() });
+      publishPlayback(callSid, 'announcing', { text, via: 'participant' });
+      recordAgentSpeech(confName, item);
+      return { played: true };
     } catch (e) {
-      console.warn('participant announce failed', e.message);
+      log.warn('participant announce failed', { callSid, conference: confName, err: e.message });
     }
   }
   // Final fallback: TwiML update (will briefly leave conference then rejoin)
-  console.warn('respondWithTts: falling back to TwiML update');
+  log.warn('respondWithTts: falling back to TwiML update', { callSid, conference: confName });
+  announceFallbacks.inc({ from: confSid ? 'participant' : 'conference', to: 'twiml' });
   const twiml = `<Response><Play>${url}</Play><Dial><Conference>${confName}</Conference></Dial></Response>`;
   const updated = await twilioClient.calls(callSid).update({ twiml });
-  console.log('respondWithTts TwiML update', updated?.sid || updated?.status);
+  speechStarted(wokeAt);
+  log.info('respondWithTts TwiML update', { callSid, conference: confName, status: updated?.status });
+  publishPlayback(callSid, 'announcing', { text, via: 'twiml' });
+  recordAgentSpeech(confName, item);
+  return { played: true };
 }
 
-async function synthesizeElevenlabs(text) {
-  const endpoint = `${ELEVEN_API_BASE}/v1/text-to-speech/${ELEVEN_VOICE_ID}/stream`;
-  try {
-    const resp = await axios.post(
-      endpoint,
-      { text, model_id: 'eleven_flash_v2_5' },
-      { responseType: 'arraybuffer', headers: { 'xi-api-key': ELEVEN_API_KEY, 'Content-Type': 'application/json' } },
-    );
-    return Buffer.from(resp.data);
-  } catch (err) {
-    console.error('synthesizeElevenlabs error', err.response?.status, err.response?.data || err.message);
-    throw err;
+function recorderFor(confKey) {
+  let recorder = recorders.get(confKey);
+  if (!recorder) {
+    recorder = new ConferenceRecorder({ dir: recordingsDir, confKey });
+    recorders.set(confKey, recorder);
   }
+  return recorder;
+}
+
+// Announced speech for the recording's agent track, decoded from the item's μ-law like the legs
+function recordAgentSpeech(confKey, item, at = Date.now()) {
+  const recorder = recorders.get(confKey);
+  if (!recorder) return;
+  speechFor(item, 'mulaw')
+    .then(({ audio }) => recorder.addAgentAudio(decodeMulawToPcm16(audio), at))
+    .catch(e => log.warn('agent speech not recorded', { conference: confKey, err: e.message }));
 }
 
+async function finishRecording(confKey) {
+  const recorder = recorders.get(confKey);
+  if (!recorder) return;
+  recorders.delete(confKey);
+  const recordings = await recorder.finish();
+  await store.upsertConference(confKey, { recordings });
+  record(confKey, 'recording', { files: recordings.map(r => r.name) });
+  log.info('recording saved', { conference: confKey, files: recordings.length });
+}
+
+async function sweepExpiredRecordings() {
+  const maxAgeMs = Number(RECORDING_RETENTION_DAYS) * 24 * 60 * 60 * 1000;
+  const removed = new Set(await sweepRecordings(recordingsDir, maxAgeMs, { keep: new Set([...recorders.keys()].map(safeName)) }));
+  if (!removed.size) return;
+  for (const conference of await store.listConferences()) {
+    if (!removed.has(safeName(conference.id))) continue;
+    await store.upsertConference(conference.id, { recordings: [], recordingsDeletedAt: Date.now() });
+  }
+  log.info('expired recordings removed', { conferences: removed.size });
+}
+
+app.get('/announce/silence', (_req, res) => {
+  res.type('text/xml').send('<Response><Pause length="1"/></Response>');
+});
+
 app.get('/audio/:id', (req, res) => {
-  const key = req.params.id.replace('.mp3', '');
-  const buf = audioStore.get(key);
-  if (!buf) {
-    console.warn('audio 404', key);
+  const key = req.params.id.replace(/\.(mp3|wav)$/, '');
+  if (!urlSigner.verify(key, req.query.token)) {
+    log.warn('audio token rejected', { id: key });
+    return res.sendStatus(403);
+  }
+  const speech = audioStore.get(key);
+  if (!speech) {
+    log.warn('audio 404', { id: key });
     return res.sendStatus(404);
   }
-  console.log('audio serve', { key, bytes: buf.length });
-  res.setHeader('Content-Type', 'audio/mpeg');
-  res.send(buf);
+  log.info('audio serve', { id: key, bytes: speech.audio.length });
+  res.setHeader('Content-Type', speech.contentType);
+  res.send(speech.audio);
 });
+
+// Sends every Twilio REST call to another host (e.g. the sim/ stand-in) while keeping paths intact
+function rebasedHttpClient(base) {
+  const client = new twilio.RequestClient();
+  const request = client.request.bind(client);
+  client.request = opts => {
+    const target = new URL(opts.uri);
+    const rebased = new URL(base);
+    target.protocol = rebased.protocol;
+    target.host = rebased.host;
+    return request({ ...opts, uri: target.toString() });
+  };
+  return client;
+}
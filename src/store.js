@@ -0,0 +1,113 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { log } from './log.js';
+
+// Call history store. Every driver implements the same async interface:
+//   upsertConference(id, patch), getConference(id), listConferences(),
+//   appendEvent(id, event), getEvents(id, { types })
+// Events are plain objects with at least { type, at }.
+
+export class MemoryStore {
+  constructor() {
+    this.conferences = new Map(); // id -> conference record
+    this.events = new Map(); // id -> event[]
+  }
+
+  async upsertConference(id, patch) {
+    const existing = this.conferences.get(id) || { id, createdAt: Date.now() };
+    const record = { ...existing, ...patch, id };
+    this.conferences.set(id, record);
+    return record;
+  }
+
+  async getConference(id) {
+    return this.conferences.get(id) || null;
+  }
+
+  async listConferences() {
+    return [...this.conferences.values()].sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+  }
+
+  async appendEvent(id, event) {
+    if (!this.conferences.has(id)) await this.upsertConference(id, {});
+    let list = this.events.get(id);
+    if (!list) {
+      list = [];
+      this.events.set(id, list);
+    }
+    list.push(event);
+    return event;
+  }
+
+  async getEvents(id, { types } = {}) {
+    const list = this.events.get(id) || [];
+    return types?.length ? list.filter(e => types.includes(e.type)) : list.slice();
+  }
+}
+
+// Conference index in conferences.json, one append-only JSONL event log per conference.
+export class FileStore extends MemoryStore {
+  constructor({ dir }) {
+    super();
+    this.dir = dir;
+    this.eventsDir = path.join(dir, 'events');
+    this.indexPath = path.join(dir, 'conferences.json');
+    this.writes = Promise.resolve();
+  }
+
+  async init() {
+    await fs.mkdir(this.eventsDir, { recursive: true });
+    try {
+      const raw = JSON.parse(await fs.readFile(this.indexPath, 'utf8'));
+      for (const record of raw) this.conferences.set(record.id, record);
+    } catch (err) {
+      if (err.code !== 'ENOENT') log.warn('store index unreadable, starting empty', { err: err.message });
+    }
+    return this;
+  }
+
+  async upsertConference(id, patch) {
+    const record = await super.upsertConference(id, patch);
+    await this.enqueue(() => fs.writeFile(this.indexPath, JSON.stringify([...this.conferences.values()], null, 2)));
+    return record;
+  }
+
+  async appendEvent(id, event) {
+    if (!this.conferences.has(id)) await this.upsertConference(id, {});
+    await this.enqueue(() => fs.appendFile(this.eventsPath(id), `${JSON.stringify(event)}\n`));
+    return event;
+  }
+
+  async getEvents(id, { types } = {}) {
+    await this.writes;
+    let raw;
+    try {
+      raw = await fs.readFile(this.eventsPath(id), 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+    const list = raw.split('\n').filter(Boolean).map(line => JSON.parse(line));
+    return types?.length ? list.filter(e => types.includes(e.type)) : list;
+  }
+
+  eventsPath(id) {
+    return path.join(this.eventsDir, `${encodeURIComponent(id)}.jsonl`);
+  }
+
+  // Serialize writes so index rewrites and appends land in call order
+  enqueue(fn) {
+    const next = this.writes.then(fn, fn);
+    this.writes = next.catch(() => {});
+    return next;
+  }
+}
+
+// driver: "file", "memory", or a path to a module whose default export is an async factory(options)
+export async function createStore(driver = 'file', options = {}) {
+  if (driver === 'memory') return new MemoryStore();
+  if (driver === 'file') return new FileStore(options).init();
+  const mod = await import(pathToFileURL(path.resolve(driver)).href);
+  return mod.default(options);
+}
@@ -0,0 +1,162 @@
+import axios from 'axios';
+import { log } from './log.js';
+import { toolCalls } from './metrics.js';
+
+// In-process tools the agent can call over its own socket (ConvAI client tools), so an action can
+// use what the server already knows about the call (the conference, who asked, the transcript)
+// instead of being a public webhook. The same tools back the webhook routes that still exist.
+//
+// A tool: { name, description, parameters: JSON schema of an object, handler(params, context), timeoutMs,
+//           risk, describe(params, context) }
+// context: { conference, conferenceSid, callSid, speaker, source: 'agent' | 'webhook' | 'mcp' }
+//
+// risk is low (runs straight away), high (someone on the call has to say confirm first) or critical
+// (someone other than the requester has to). Tools above low go to gate() instead of running; gate
+// gets the read-back from describe() and a run() that skips the gate.
+export const RISK_LEVELS = ['low', 'high', 'critical'];
+
+export class ToolRegistry {
+  constructor({ timeoutMs = 10000, gate = null } = {}) {
+    this.timeoutMs = timeoutMs;
+    this.gate = gate;
+    this.tools = new Map(); // name -> tool
+  }
+
+  register(tool) {
+    if (!tool?.name || typeof tool.handler !== 'function') throw new Error('a tool needs a name and a handler');
+    if (this.tools.has(tool.name)) throw new Error(`tool ${tool.name} is already registered`);
+    if (tool.risk && !RISK_LEVELS.includes(tool.risk)) throw new Error(`tool ${tool.name}: risk must be one of ${RISK_LEVELS.join(', ')}`);
+    this.tools.set(tool.name, { parameters: { type: 'object', properties: {} }, risk: 'low', ...tool });
+    return this;
+  }
+
+  // { name: risk } from configuration, e.g. to make add_participant need a confirm
+  retag(risks = {}) {
+    for (const [name, risk] of Object.entries(risks)) {
+      const tool = this.tools.get(name);
+      if (!tool) log.warn('risk set for unknown tool', { tool: name });
+      else if (!RISK_LEVELS.includes(risk)) log.warn('unknown risk level', { tool: name, risk });
+      else tool.risk = risk;
+    }
+    return this;
+  }
+
+  get(name) {
+    return this.tools.get(name) || null;
+  }
+
+  // Definitions in the shape the ElevenLabs agent's client tool settings ask for
+  list() {
+    return [...this.tools.values()].map(({ name, description, parameters, timeoutMs, risk }) => ({
+      name,
+      description: description || '',
+      parameters,
+      timeoutMs: timeoutMs || this.timeoutMs,
+      risk,
+    }));
+  }
+
+  // Runs a tool and returns its result; throws on an unknown tool, bad parameters, a handler error
+  // or a timeout. Errors carry .status so webhook routes can pass it on.
+  async call(name, params = {}, context = {}) {
+    const tool = this.tools.get(name);
+    if (!tool) throw withStatus(new Error(`unknown tool ${name}`), 404);
+    const timeoutMs = tool.timeoutMs || this.timeoutMs;
+    const startedAt = Date.now();
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => reject(withStatus(new Error(`${name} timed out after ${timeoutMs} ms`), 504)), timeoutMs);
+    });
+    try {
+      const problem = validate(tool.parameters, params);
+      if (problem) throw withStatus(new Error(`${name}: ${problem}`), 400);
+      if (tool.risk !== 'low' && this.gate && !context.confirmed) {
+        const description = tool.describe ? await tool.describe(params, context) : describeCall(name, params);
+        const pending = await this.gate({
+          tool: name,
+          risk: tool.risk,
+          params,
+          context,
+          description,
+          run: () => this.call(name, params, { ...context, confirmed: true }),
+        });
+        log.info('tool call awaiting confirmation', { tool: name, risk: tool.risk, source: context.source, conference: context.conference, params });
+        toolCalls.inc({ tool: name, outcome: 'pending' });
+        return pending;
+      }
+      const result = await Promise.race([tool.handler(params, context), timeout]);
+      log.info('tool call', { tool: name, source: context.source, conference: context.conference, callSid: context.callSid, params, confirmed: !!context.confirmed, ms: Date.now() - startedAt });
+      toolCalls.inc({ tool: name, outcome: 'ok' });
+      return result;
+    } catch (err) {
+      log.warn('tool call failed', { tool: name, source: context.source, conference: context.conference, callSid: context.callSid, params, ms: Date.now() - startedAt, err: err.message });
+      toolCalls.inc({ tool: name, outcome: err.status === 504 ? 'timeout' : 'error' });
+      throw err;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // For the agent: never throws, and the result is text
+  async invoke(name, params, context) {
+    try {
+      const result = await this.call(name, params, context);
+      return { result: typeof result === 'string' ? result : JSON.stringify(result ?? null), isError: false };
+    } catch (err) {
+      return { result: err.message, isError: true };
+    }
+  }
+}
+
+// A tool that forwards its parameters to someone else's HTTP endpoint, e.g. starting a Cursor
+// background agent. { name, url, description, parameters, headers, risk = 'high', readBack, timeoutMs }
+// readBack is the spoken description with {param} placeholders: "Ask Cursor to {prompt}".
+export function webhookTool({ name, url, description, parameters, headers = {}, risk = 'high', readBack, timeoutMs }) {
+  if (!url) throw new Error(`webhook tool ${name} needs a url`);
+  return {
+    name,
+    description: description || `Calls ${new URL(url).host}`,
+    parameters: parameters || { type: 'object', properties: {} },
+    risk,
+    timeoutMs,
+    describe: params => (readBack ? readBack.replace(/\{(\w+)\}/g, (_, key) => String(params[key] ?? '')) : describeCall(name, params)),
+    handler: async (params, context) => {
+      const resp = await axios.post(url, { ...params, conference: context.conference, requestedBy: context.speaker }, { headers, timeout: timeoutMs });
+      return resp.data;
+    },
+  };
+}
+
+// "Run trigger cursor agent with prompt fix the login bug"
+function describeCall(name, params) {
+  const args = Object.entries(params).filter(([, v]) => v !== undefined && v !== null && v !== '');
+  const spoken = args.map(([k, v]) => `${k.replace(/_/g, ' ')} ${typeof v === 'object' ? JSON.stringify(v) : v}`).join(', ');
+  return `Run ${name.replace(/_/g, ' ')}${spoken ? ` with ${spoken}` : ''}`;
+}
+
+// Enough JSON schema for tool parameters: required keys, and the type and enum of each property
+function validate(schema, params) {
+  if (!params || typeof params !== 'object' || Array.isArray(params)) return 'parameters must be an object';
+  for (const key of schema.required || []) {
+    if (params[key] === undefined || params[key] === null || params[key] === '') return `${key} is required`;
+  }
+  for (const [key, spec] of Object.entries(schema.properties || {})) {
+    const value = params[key];
+    if (value === undefined || value === null) continue;
+    if (spec.type && !matchesType(spec.type, value)) return `${key} must be ${spec.type === 'array' ? 'an' : 'a'} ${spec.type}`;
+    if (spec.enum && !spec.enum.includes(value)) return `${key} must be one of ${spec.enum.join(', ')}`;
+  }
+  return null;
+}
+
+function matchesType(type, value) {
+  if (type === 'integer') return Number.isInteger(value);
+  if (type === 'array') return Array.isArray(value);
+  if (type === 'object') return typeof value === 'object' && !Array.isArray(value);
+  return typeof value === type;
+}
+
+function withStatus(err, status) {
+  err.status = status;
+  return err;
+}
@@ -0,0 +1,60 @@
+export class ConferenceTranscript {
+  constructor({ maxLines = 1000 } = {}) {
+    this.maxLines = maxLines;
+    this.lines = [];
+  }
+
+  add({ speaker, callSid, text, at = Date.now() }) {
+    const clean = (text || '').trim();
+    if (!clean) return null;
+    const line = { at, speaker: speaker || callSid || 'unknown', callSid, text: clean };
+    this.lines.push(line);
+    if (this.lines.length > this.maxLines) this.lines.splice(0, this.lines.length - this.maxLines);
+    return line;
+  }
+
+  // Most recent lines, newest last, bounded by line count, total characters and age.
+  recent({ maxLines = 30, maxChars = 4000, sinceMs } = {}) {
+    const cutoff = sinceMs ? Date.now() - sinceMs : 0;
+    const out = [];
+    let chars = 0;
+    for (let i = this.lines.length - 1; i >= 0 && out.length < maxLines; i -= 1) {
+      const line = this.lines[i];
+      if (line.at < cutoff) break;
+      const len = formatLine(line).length + 1;
+      if (out.length && chars + len > maxChars) break;
+      chars += len;
+      out.unshift(line);
+    }
+    return out;
+  }
+
+  format(opts) {
+    return formatLines(this.recent(opts));
+  }
+}
+
+export function formatLine(line) {
+  const time = new Date(line.at).toISOString().slice(11, 19);
+  return `[${time}] ${line.speaker}: ${line.text}`;
+}
+
+export function formatLines(lines) {
+  return lines.map(formatLine).join('\n');
+}
+
+// WebVTT cues relative to startAt; each cue runs until the next line, capped by a words-per-second estimate
+export function formatVtt(lines, startAt = lines[0]?.at || 0) {
+  const cues = lines.map((line, i) => {
+    const start = Math.max(0, line.at - startAt);
+    const spoken = Math.max(1000, line.text.split(/\s+/).length * 400);
+    const next = lines[i + 1] ? lines[i + 1].at - startAt : Infinity;
+    const end = Math.max(start + 1, Math.min(start + spoken, next));
+    return `${i + 1}\n${vttTime(start)} --> ${vttTime(end)}\n<v ${line.speaker}>${line.text}`;
+  });
+  return ['WEBVTT', ...cues].join('\n\n') + '\n';
+}
+
+function vttTime(ms) {
+  return new Date(ms).toISOString().slice(11, 23);
+}
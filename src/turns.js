@@ -0,0 +1,170 @@
+import { normalizeSpeech } from './wake.js';
+
+// Turn-taking for one conference. Decides which utterances go to the agent:
+//   idle     - only a wake phrase starts a turn
+//   pending  - a wake phrase showed up in a partial; wait for the committed text, or for the speaker
+//              to stop talking (voice activity) or partialWaitMs (without it)
+//   thinking - a query is with the agent; the same leg saying the wake phrase again is throttled
+//   engaged  - the agent just answered (or heard a bare wake phrase); committed speech from the
+//              engaged speaker goes straight to the agent until the window closes or they disengage
+export class TurnTaker {
+  constructor({
+    followUpMs = 10000,
+    followUpSpeakers = 'same',
+    partialWaitMs = 2500,
+    commandWaitMs = 6000,
+    disengagePhrases = [],
+    voiceActivity = false,
+    endOfSpeechWaitMs = 800,
+    speakingWaitMs = 8000,
+    onDispatch,
+  } = {}) {
+    this.followUpMs = followUpMs;
+    this.followUpSpeakers = followUpSpeakers;
+    this.partialWaitMs = partialWaitMs;
+    this.commandWaitMs = commandWaitMs;
+    this.disengagePhrases = disengagePhrases.map(normalizeSpeech).filter(Boolean);
+    // With voice activity from the legs, a partial wake waits for the speaker to stop (plus
+    // endOfSpeechWaitMs for the commit to land) rather than a fixed timer; speakingWaitMs caps
+    // the wait in case a noisy line never goes quiet
+    this.voiceActivity = voiceActivity;
+    this.endOfSpeechWaitMs = endOfSpeechWaitMs;
+    this.speakingWaitMs = speakingWaitMs;
+    this.onDispatch = onDispatch;
+    this.state = 'idle';
+    this.pending = new Map(); // callSid -> { text, wake, timer } while a partial wake waits for its commit
+    this.dispatchedEarly = new Map(); // callSid -> expiry; the next commit is the tail of a turn already sent
+    this.engaged = null; // { callSid, until, anySpeaker, closesAt }
+    this.answering = null; // callSid whose query is with the agent while thinking
+    this.speaking = new Set(); // callSids talking right now, from voice activity
+  }
+
+  // One transcript segment from a leg. wake: WakeMatcher match or null.
+  // Returns a decision { action: 'dispatch' | 'pending' | 'listen' | 'disengage' | 'throttled', ... }
+  // or null.
+  onTranscript(callSid, text, committed, wake) {
+    if (committed && this.dispatchedEarly.has(callSid)) {
+      const expiry = this.dispatchedEarly.get(callSid);
+      this.dispatchedEarly.delete(callSid);
+      // The commit of a partial wake already sent
+      if (expiry > Date.now()) return wake ? { action: 'throttled', callSid, text, wake, reason: 'sent from partial' } : null;
+    }
+    if (wake && !committed) {
+      // Still talking: restart the wait with the longer partial
+      this.armPending(callSid, text, wake);
+      if (this.state === 'idle') this.state = 'pending';
+      return { action: 'pending', callSid, text, wake };
+    }
+    if (!committed) return null;
+    if (wake) {
+      clearTimeout(this.pending.get(callSid)?.timer);
+      this.pending.delete(callSid);
+      return this.start(callSid, text, wake);
+    }
+    if (!this.isEngagedWith(callSid)) return null;
+    if (this.isDisengage(text)) {
+      const { callSid: engagedWith } = this.engaged;
+      this.idle();
+      return { action: 'disengage', callSid, text, engagedWith };
+    }
+    return this.start(callSid, text, { query: text, followUp: true });
+  }
+
+  armPending(callSid, text, wake) {
+    clearTimeout(this.pending.get(callSid)?.timer);
+    const timer = setTimeout(() => {
+      this.pending.delete(callSid);
+      this.dispatchedEarly.set(callSid, Date.now() + 10000);
+      const decision = this.start(callSid, text, wake);
+      this.onDispatch?.(decision);
+    }, this.pendingWaitMs(callSid));
+    this.pending.set(callSid, { text, wake, timer });
+  }
+
+  pendingWaitMs(callSid) {
+    if (!this.voiceActivity) return this.partialWaitMs;
+    return this.speaking.has(callSid) ? this.speakingWaitMs : this.endOfSpeechWaitMs;
+  }
+
+  // A leg started (true) or stopped (false) talking
+  onVoiceActivity(callSid, speaking) {
+    if (speaking) this.speaking.add(callSid);
+    else this.speaking.delete(callSid);
+    const pending = this.pending.get(callSid);
+    if (pending) this.armPending(callSid, pending.text, pending.wake);
+    // Talking as the follow-up window closes still counts; hold it open until the commit arrives
+    if (this.state === 'engaged' && this.engaged && (this.engaged.anySpeaker || this.engaged.callSid === callSid)) {
+      const now = Date.now();
+      if (this.engaged.until < now) return;
+      this.engaged.closesAt ??= this.engaged.until;
+      this.engaged.until = speaking
+        ? Math.max(this.engaged.closesAt, now + this.speakingWaitMs)
+        : Math.max(this.engaged.closesAt, now + this.endOfSpeechWaitMs * 2);
+    }
+  }
+
+  start(callSid, text, wake) {
+    if (!wake.query) {
+      // "Hey assistant." on its own: the same speaker's next utterance is the command
+      this.state = 'engaged';
+      this.answering = null;
+      this.engaged = { callSid, until: Date.now() + this.commandWaitMs, anySpeaker: false };
+      return { action: 'listen', callSid, text, wake };
+    }
+    // Asking again while the agent is still on the first one would queue a second answer
+    if (this.state === 'thinking' && this.answering === callSid) return { action: 'throttled', callSid, text, wake, reason: 'already asking' };
+    this.state = 'thinking';
+    this.answering = callSid;
+    this.engaged = null;
+    return { action: 'dispatch', callSid, text, wake };
+  }
+
+  // The agent finished answering callSid; playbackEndsAt is when the room stops hearing it
+  responded(callSid, playbackEndsAt = Date.now()) {
+    if (this.followUpMs <= 0) return this.idle();
+    this.state = 'engaged';
+    this.answering = null;
+    this.engaged = { callSid, until: Math.max(playbackEndsAt, Date.now()) + this.followUpMs, anySpeaker: this.followUpSpeakers === 'any' };
+    return this.engaged;
+  }
+
+  isEngagedWith(callSid) {
+    if (this.state !== 'engaged' || !this.engaged) return false;
+    if (this.engaged.until < Date.now()) {
+      this.idle();
+      return false;
+    }
+    return this.engaged.anySpeaker || this.engaged.callSid === callSid;
+  }
+
+  // "thanks John, that's all": the phrase closes the utterance
+  isDisengage(text) {
+    const t = ` ${normalizeSpeech(text)}`;
+    return this.disengagePhrases.some(p => t.endsWith(` ${p}`));
+  }
+
+  idle() {
+    this.state = this.pending.size ? 'pending' : 'idle';
+    this.engaged = null;
+    this.answering = null;
+    return null;
+  }
+
+  snapshot() {
+    return {
+      state: this.state,
+      engagedWith: this.engaged?.anySpeaker ? 'any' : this.engaged?.callSid || null,
+      engagedUntil: this.engaged?.until || null,
+    };
+  }
+
+  close() {
+    for (const { timer } of this.pending.values()) clearTimeout(timer);
+    this.pending.clear();
+    this.dispatchedEarly.clear();
+    this.speaking.clear();
+    this.engaged = null;
+    this.answering = null;
+    this.state = 'idle';
+  }
+}
@@ -0,0 +1,117 @@
+import { decodeMulawToPcm16 } from './elevenlabs.js';
+
+// Energy / zero-crossing voice activity detection for one inbound leg. A frame counts as voiced
+// when it is loud enough, both in absolute terms and against the line's own noise floor, and
+// crosses zero slowly enough to be speech rather than hiss. Only speech (plus a little audio
+// either side of it) is passed on, so muted-but-open lines stop costing transcription time.
+export class VoiceActivityDetector {
+  constructor({
+    sampleRate = 8000,
+    minDbfs = -45,
+    noiseMarginDb = 9,
+    maxZeroCrossingRate = 0.35,
+    onsetMs = 60,
+    hangoverMs = 400,
+    preRollMs = 200,
+    tailMs = 0,
+  } = {}) {
+    this.sampleRate = sampleRate;
+    this.minDbfs = minDbfs;
+    this.noiseMarginDb = noiseMarginDb;
+    this.maxZeroCrossingRate = maxZeroCrossingRate;
+    this.onsetMs = onsetMs;
+    this.hangoverMs = hangoverMs;
+    this.preRollMs = preRollMs;
+    this.tailMs = tailMs; // audio still forwarded after speech ends, for STT that finds the end itself
+    this.noiseFloorDb = -70;
+    this.speaking = false;
+    this.runMs = 0; // voiced time while silent, unvoiced time while speaking
+    this.tailLeftMs = 0;
+    this.preRoll = []; // { frame, ms } held while silent, sent ahead of the speech that follows
+    this.preRollHeldMs = 0;
+    this.speechStartedAt = null;
+    this.talkMs = 0; // total speech on this leg
+    this.suppressedMs = 0; // audio never sent to STT
+  }
+
+  // One μ-law frame from Twilio. Returns { event: 'start' | 'end' | null, frames } where frames
+  // are the μ-law buffers to pass on to the transcriber, in order.
+  push(mulaw) {
+    const pcm = decodeMulawToPcm16(mulaw);
+    const ms = (pcm.length / 2 / this.sampleRate) * 1000;
+    const voiced = this.isVoiced(pcm);
+    let event = null;
+    let frames = [];
+    if (!this.speaking) {
+      this.runMs = voiced ? this.runMs + ms : 0;
+      if (this.runMs >= this.onsetMs) {
+        event = 'start';
+        this.speaking = true;
+        this.speechStartedAt = Date.now();
+        this.runMs = 0;
+        this.tailLeftMs = 0;
+        frames = [...this.preRoll.map(p => p.frame), mulaw];
+        this.preRoll = [];
+        this.preRollHeldMs = 0;
+      } else if (this.tailLeftMs > 0) {
+        this.tailLeftMs -= ms;
+        frames = [mulaw];
+      } else {
+        this.hold(mulaw, ms);
+      }
+    } else {
+      frames = [mulaw];
+      this.runMs = voiced ? 0 : this.runMs + ms;
+      if (this.runMs >= this.hangoverMs) {
+        event = 'end';
+        this.speaking = false;
+        this.talkMs += Date.now() - this.speechStartedAt;
+        this.speechStartedAt = null;
+        this.runMs = 0;
+        this.tailLeftMs = this.tailMs;
+      }
+    }
+    return { event, frames };
+  }
+
+  isVoiced(pcm) {
+    const samples = pcm.length / 2;
+    if (!samples) return false;
+    let energy = 0;
+    let crossings = 0;
+    let prev = 0;
+    for (let i = 0; i < samples; i += 1) {
+      const s = pcm.readInt16LE(i * 2);
+      energy += s * s;
+      if (i > 0 && (s >= 0) !== (prev >= 0)) crossings += 1;
+      prev = s;
+    }
+    const rms = Math.sqrt(energy / samples);
+    const db = rms > 0 ? 20 * Math.log10(rms / 32768) : -90;
+    const zcr = crossings / samples;
+    const voiced = db >= Math.max(this.minDbfs, this.noiseFloorDb + this.noiseMarginDb) && zcr <= this.maxZeroCrossingRate;
+    // The floor follows the line's background level, slowly, and only from frames that aren't speech
+    if (!voiced) this.noiseFloorDb += (Math.max(db, -90) - this.noiseFloorDb) * 0.05;
+    return voiced;
+  }
+
+  hold(frame, ms) {
+    this.preRoll.push({ frame, ms });
+    this.preRollHeldMs += ms;
+    while (this.preRoll.length > 1 && this.preRollHeldMs - this.preRoll[0].ms >= this.preRollMs) {
+      const { ms: dropped } = this.preRoll.shift();
+      this.preRollHeldMs -= dropped;
+      this.suppressedMs += dropped;
+    }
+  }
+
+  snapshot() {
+    const current = this.speechStartedAt ? Date.now() - this.speechStartedAt : 0;
+    return {
+      speaking: this.speaking,
+      talkMs: Math.round(this.talkMs + current),
+      suppressedMs: Math.round(this.suppressedMs),
+      noiseFloorDb: Math.round(this.noiseFloorDb),
+    };
+  }
+}
@@ -0,0 +1,57 @@
+import WebSocket from 'ws';
+import { decodeMulawToPcm16 } from './elevenlabs.js';
+import { ReconnectingTranscriber } from './reconnect.js';
+import { log } from './log.js';
+
+// Transcriber for self-hosted servers speaking the vosk-server WebSocket protocol
+// (also implemented by several Whisper streaming wrappers): a JSON config message, then
+// binary 16-bit PCM; replies are {"partial": "..."} while speaking and {"text": "..."} per utterance.
+export class VoskTranscriber extends ReconnectingTranscriber {
+  constructor({ url, sampleRate = 8000, config = {}, reconnect = {}, bufferMs = 5000, bufferMaxAgeMs = 10000 }) {
+    // Twilio frames are 8 kHz mu-law: 8 bytes per millisecond, decoded when sent
+    super({ name: 'vosk', reconnect, bufferMs, bufferMaxAgeMs, bytesPerMs: 8 });
+    this.url = url;
+    this.sampleRate = sampleRate;
+    this.config = config;
+    this.lastPartial = '';
+  }
+
+  canConnect() {
+    return Boolean(this.url);
+  }
+
+  openSocket() {
+    return new WebSocket(this.url);
+  }
+
+  onOpen(ws) {
+    this.lastPartial = '';
+    ws.send(JSON.stringify({ config: { sample_rate: this.sampleRate, ...this.config } }));
+  }
+
+  sendLive(mulaw) {
+    this.ws.send(decodeMulawToPcm16(mulaw));
+  }
+
+  close() {
+    if (this.ws?.readyState === WebSocket.OPEN) this.ws.send(JSON.stringify({ eof: 1 }));
+    super.close();
+  }
+
+  handleMessage(raw) {
+    let parsed;
+    try {
+      parsed = JSON.parse(raw.toString());
+    } catch {
+      log.warn('vosk non-JSON message', { raw: raw.toString().slice(0, 200) });
+      return;
+    }
+    if (parsed.text) {
+      this.lastPartial = '';
+      this.transcriptHandler?.(parsed.text, true);
+    } else if (parsed.partial && parsed.partial !== this.lastPartial) {
+      this.lastPartial = parsed.partial;
+      this.transcriptHandler?.(parsed.partial, false);
+    }
+  }
+}
@@ -0,0 +1,117 @@
+// Wake phrase matching that survives STT mishearings ("hey qordinate" heard as "hey coordinate"
+// or "hey cord innate"): punctuation-insensitive, scored by edit distance on both the spelling
+// and a rough phonetic key of each candidate span of words.
+
+export function normalizeSpeech(text) {
+  return (text || '').toLowerCase().replace(/[^\p{L}\p{N}'\s]/gu, ' ').replace(/\s+/g, ' ').trim();
+}
+
+export function levenshtein(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i += 1) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+function similarity(a, b) {
+  const len = Math.max(a.length, b.length);
+  return len ? 1 - levenshtein(a, b) / len : 1;
+}
+
+// Metaphone-flavoured key: spelling variants that sound alike collapse to the same consonant skeleton
+export function phoneticKey(text) {
+  const w = normalizeSpeech(text).replace(/[^a-z]/g, '');
+  if (!w) return '';
+  const s = w
+    .replace(/^kn|^gn|^pn|^wr/, m => m[1])
+    .replace(/ph/g, 'f')
+    .replace(/ck|q/g, 'k')
+    .replace(/c(?=[eiy])/g, 's')
+    .replace(/c/g, 'k')
+    .replace(/x/g, 'ks')
+    .replace(/z/g, 's')
+    .replace(/dg/g, 'j')
+    .replace(/gh/g, '')
+    .replace(/([^aeiou])h/g, '$1')
+    .replace(/v/g, 'f');
+  const first = /[aeiouy]/.test(s[0]) ? 'a' : s[0];
+  return (first + s.slice(1).replace(/[aeiouyhw]/g, '')).replace(/(.)\1+/g, '$1');
+}
+
+// phrases: [{ phrase, aliases }] or plain strings. threshold: 0..1, 1 means exact words only.
+export class WakeMatcher {
+  constructor({ phrases = [], threshold = 0.8, phonetic = true } = {}) {
+    this.threshold = threshold;
+    this.phonetic = phonetic;
+    this.variants = []; // { phrase, words, text }
+    for (const entry of phrases) {
+      const { phrase, aliases = [] } = typeof entry === 'string' ? { phrase: entry } : entry;
+      for (const variant of [phrase, ...aliases]) {
+        const words = normalizeSpeech(variant).split(' ').filter(Boolean);
+        if (!words.length) continue;
+        this.variants.push({ phrase, words, text: words.join(' ') });
+      }
+    }
+  }
+
+  get phrases() {
+    return [...new Set(this.variants.map(v => v.phrase))];
+  }
+
+  // Best match in the utterance: { phrase, heard, score, query } where query is the original text
+  // after the wake phrase (punctuation kept), or null when nothing scores above the threshold.
+  match(text) {
+    const tokens = (text || '').split(/\s+/).filter(Boolean);
+    const words = []; // { word, token } normalized words with the original token they came from
+    tokens.forEach((token, index) => {
+      for (const word of normalizeSpeech(token).split(' ').filter(Boolean)) words.push({ word, token: index });
+    });
+    let best = null;
+    for (const variant of this.variants) {
+      const n = variant.words.length;
+      // Mishearings can split or merge words, so try spans one shorter and one longer
+      for (let len = Math.max(1, n - 1); len <= n + 1; len += 1) {
+        for (let start = 0; start + len <= words.length; start += 1) {
+          const span = words.slice(start, start + len).map(w => w.word);
+          const score = this.score(variant, span);
+          // Prefer higher scores, then earlier matches, then shorter spans so the query keeps its first word
+          if (score >= this.threshold && (!best || score > best.score || (score === best.score && (start < best.start || (start === best.start && len < best.len))))) {
+            best = { phrase: variant.phrase, score, start, len };
+          }
+        }
+      }
+    }
+    if (!best) return null;
+    const lastToken = words[best.start + best.len - 1].token;
+    const heard = tokens.slice(words[best.start].token, lastToken + 1).join(' ');
+    const query = tokens.slice(lastToken + 1).join(' ').replace(/^[\s,.;:!?-]+/, '').trim();
+    return { phrase: best.phrase, heard, score: Number(best.score.toFixed(3)), query };
+  }
+
+  // Word for word when the counts line up, so one generic word ("the assistant") can't ride on the
+  // other; split or merged words are compared as a whole and cost a little extra
+  score(variant, span) {
+    if (span.join(' ') === variant.text) return 1;
+    if (this.threshold >= 1) return 0;
+    if (span.length === variant.words.length) {
+      return Math.min(...span.map((word, i) => this.wordScore(word, variant.words[i])));
+    }
+    return this.wordScore(span.join(''), variant.words.join('')) * 0.95;
+  }
+
+  wordScore(heard, expected) {
+    if (heard === expected) return 1;
+    const spelled = similarity(heard, expected);
+    if (!this.phonetic) return spelled;
+    // Phonetic keys are short, so one edit costs a lot; count them a little below a perfect spelling
+    return Math.max(spelled, similarity(phoneticKey(heard), phoneticKey(expected)) * 0.95);
+  }
+}